@@ -1,39 +1,194 @@
 class AudioProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
+    const processorOptions = (options && options.processorOptions) || {};
+    // 1 = mono mix, 2 = split (tab on left, mic on right)
+    this.channelCount = processorOptions.channelCount || 1;
     this.bufferSize = 4096;
-    this.buffer = new Float32Array(this.bufferSize);
+    this.buffers = [];
+    for (let c = 0; c < this.channelCount; c++) {
+      this.buffers.push(new Float32Array(this.bufferSize));
+    }
     this.bufferFill = 0;
     this.processCount = 0;
-    console.log('[AudioWorklet] AudioProcessor initialized');
+    
+    // Voice activity detection: when enabled, only buffers inside speech
+    // (plus pre-roll and hangover) are posted
+    const vad = processorOptions.vad || {};
+    this.vadEnabled = Boolean(vad.enabled);
+    const bufferMs = this.bufferSize / sampleRate * 1000;
+    this.vadThreshold = Math.pow(10, (vad.thresholdDb !== undefined ? vad.thresholdDb : -50) / 20);
+    this.vadHangoverBuffers = Math.ceil((vad.hangoverMs || 0) / bufferMs);
+    this.vadPreRollBuffers = Math.ceil((vad.preRollMs || 0) / bufferMs);
+    this.resetVad();
+    
+    // Level meter: inputs 1 (tab) and 2 (mic) carry the unmixed sources;
+    // RMS and peak are posted every 200 ms
+    this.meterInterval = Math.round(sampleRate * 0.2);
+    this.resetMeter();
+    
+    this.port.onmessage = (event) => {
+      if (event.data && event.data.type === 'vad-reset') {
+        this.resetVad();
+      }
+    };
+    
+    console.log('[AudioWorklet] AudioProcessor initialized, channels:', this.channelCount, 'VAD:', this.vadEnabled);
+  }
+  
+  resetVad() {
+    this.speaking = false;
+    this.silentBuffers = 0;
+    this.preRoll = [];
+  }
+  
+  resetMeter() {
+    this.meterSamples = 0;
+    this.meterSources = [0, 1].map(() => ({ connected: false, sum: 0, count: 0, peak: 0 }));
+  }
+  
+  /**
+   * Accumulate per-source levels for one render quantum
+   */
+  meter(inputs, frameLength) {
+    this.meterSources.forEach((source, s) => {
+      const input = inputs[s + 1];
+      // An input with nothing connected has no channels (e.g. no microphone)
+      if (!input || input.length === 0) return;
+      source.connected = true;
+      for (const channel of input) {
+        for (let i = 0; i < channel.length; i++) {
+          const sample = channel[i];
+          source.sum += sample * sample;
+          const magnitude = Math.abs(sample);
+          if (magnitude > source.peak) source.peak = magnitude;
+        }
+        source.count += channel.length;
+      }
+    });
+    
+    this.meterSamples += frameLength;
+    if (this.meterSamples >= this.meterInterval) {
+      const [tab, mic] = this.meterSources.map(source => source.connected ? {
+        rms: source.count > 0 ? Math.sqrt(source.sum / source.count) : 0,
+        peak: source.peak
+      } : null);
+      this.port.postMessage({type: 'levels', tab, mic});
+      this.resetMeter();
+    }
+  }
+  
+  /**
+   * Loudest channel's RMS, so a quiet mic doesn't hide the tab in split mode
+   */
+  level(channels) {
+    let max = 0;
+    for (const channel of channels) {
+      let sum = 0;
+      for (let i = 0; i < channel.length; i++) {
+        sum += channel[i] * channel[i];
+      }
+      max = Math.max(max, Math.sqrt(sum / channel.length));
+    }
+    return max;
+  }
+  
+  postBuffer(channels) {
+    this.port.postMessage({type: 'buffer', channels});
+  }
+  
+  postSpeech(state, level) {
+    this.port.postMessage({
+      type: 'speech',
+      state,
+      levelDb: level > 0 ? Math.round(20 * Math.log10(level)) : null,
+      time: currentTime
+    });
+  }
+  
+  /**
+   * Decide whether a full buffer is speech and post it (or hold it as pre-roll)
+   */
+  handleBuffer(channels) {
+    if (!this.vadEnabled) {
+      this.postBuffer(channels);
+      return;
+    }
+    
+    const level = this.level(channels);
+    
+    if (level >= this.vadThreshold) {
+      this.silentBuffers = 0;
+      if (!this.speaking) {
+        this.speaking = true;
+        // The start event goes first so the pre-roll is counted as part of the speech
+        this.postSpeech('start', level);
+        this.preRoll.forEach(buffer => this.postBuffer(buffer));
+        this.preRoll = [];
+      }
+      this.postBuffer(channels);
+      return;
+    }
+    
+    if (this.speaking) {
+      this.silentBuffers++;
+      if (this.silentBuffers <= this.vadHangoverBuffers) {
+        // Hangover: keep sending through short pauses between words
+        this.postBuffer(channels);
+        return;
+      }
+      this.speaking = false;
+      this.postSpeech('end', level);
+    }
+    
+    if (this.vadPreRollBuffers > 0) {
+      this.preRoll.push(channels);
+      if (this.preRoll.length > this.vadPreRollBuffers) {
+        this.preRoll.shift();
+      }
+    }
   }
   
   process(inputs, outputs, parameters) {
     this.processCount++;
-    const input = inputs[0][0];
-    const output = outputs[0][0];
+    const input = inputs[0];
+    const output = outputs[0];
     
     if (this.processCount % 1000 === 0) {
-      console.log('[AudioWorklet] Process count:', this.processCount, 'Input:', !!input, 'Output:', !!output);
+      console.log('[AudioWorklet] Process count:', this.processCount, 'Input:', !!input[0], 'Output:', !!output[0]);
     }
     
-    if (input && output) {
-      // Copy input to output
-      output.set(input);
+    if (inputs.length > 1) {
+      this.meter(inputs, output[0] ? output[0].length : 128);
+    }
+    
+    if (input[0] && output[0]) {
+      const frameLength = input[0].length;
       
-      // Fill the buffer
-      for (let i = 0; i < input.length; i++) {
-        if (this.bufferFill < this.bufferSize) {
-          this.buffer[this.bufferFill++] = input[i];
+      for (let c = 0; c < this.channelCount; c++) {
+        // A missing channel (e.g. no mic in split mode) is treated as silence
+        const channelInput = input[c];
+        if (channelInput && output[c]) {
+          // Copy input to output
+          output[c].set(channelInput);
+        }
+        
+        // Fill the buffer
+        const buffer = this.buffers[c];
+        for (let i = 0; i < frameLength; i++) {
+          if (this.bufferFill + i < this.bufferSize) {
+            buffer[this.bufferFill + i] = channelInput ? channelInput[i] : 0;
+          }
         }
       }
+      this.bufferFill = Math.min(this.bufferFill + frameLength, this.bufferSize);
       
       // If buffer is full, send it
       if (this.bufferFill >= this.bufferSize) {
         if (this.processCount <= 10) {
           console.log('[AudioWorklet] Sending buffer, size:', this.bufferSize);
         }
-        this.port.postMessage({type: 'buffer', buffer: this.buffer.slice(0)});
+        this.handleBuffer(this.buffers.map(b => b.slice(0)));
         this.bufferFill = 0;
       }
     }
@@ -1,16 +1,69 @@
 // Background service worker: handle recording control and audio processing
+importScripts('settings.js', 'protocol.js', 'retry-policy.js');
+
 let pendingStartRecording = false;
 let isRecording = false;
+let isPaused = false;
+let pausedAt = null;
+let offscreenMode = null; // 'document' (chrome.offscreen) or 'window' (popup window fallback)
+let offscreenHostGeneration = 0; // Bumped for every host opened, so a delayed close can't hit a newer one
 let recordingWindowId = null;
 let recordingTabId = null;
+let captureTabId = null; // Tab whose audio is captured (chosen in the popup or active at Start)
 let recordingStartTime = null;
 let reconnectAttempts = 0;
+const RECORDING_STATE_KEY = 'recordingState'; // chrome.storage.session key
 const MAX_RECONNECT_ATTEMPTS = 3;
+const STOP_TIMEOUT = 10000; // Wait for recordingStopped, extended by the offscreen document's stopProgress
 // const RECORDING_TIMEOUT = 300000; // 5 minutes max recording time - removed timeout limit
 
 // publicIdを保持するグローバル変数
 let globalPublicId = null;
 
+// Shared settings (chrome.storage.sync), refreshed on change and before each recording
+let currentSettings = { ...ParatalkSettings.DEFAULTS };
+ParatalkSettings.load().then((settings) => {
+  currentSettings = settings;
+});
+ParatalkSettings.onChanged((settings) => {
+  console.log('[Background] Settings updated');
+  currentSettings = settings;
+});
+
+// Preferred microphone, chosen in the popup. Kept in chrome.storage.local rather than the
+// synced settings because device ids only mean something on this machine.
+const MIC_DEVICE_KEY = 'micDeviceId';
+let micDeviceId = '';
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[MIC_DEVICE_KEY]) return;
+  micDeviceId = changes[MIC_DEVICE_KEY].newValue || '';
+  if (isRecording) {
+    try {
+      chrome.runtime.sendMessage({ action: 'setMicDeviceInOffscreen', deviceId: micDeviceId });
+    } catch (e) {
+      logError(e, 'micDeviceId - message send');
+    }
+  }
+});
+
+// Per-source mix levels (gain 0-2, mute), applied by GainNodes in the offscreen document
+const MAX_GAIN = 2;
+let mixLevels = { tabGain: 1, tabMuted: false, micGain: 1, micMuted: false };
+
+// WebSocket connection state reported by the offscreen document
+// ({ state: 'connected' | 'retrying' | 'gave-up', attempt, delay, retryAt })
+let connectionStatus = null;
+let sinkStatuses = {}; // Same, for the extra destinations (settings.extraSinks) by name
+let lastRecordingError = null; // Shown on the badge until the next recording starts
+let lastStopNotice = null; // Why the last recording stopped by itself (e.g. the time limit)
+let pendingIdentityChange = null; // publicId changed mid-recording, waiting for the user
+let lastSessionStats = null; // Offscreen sessionStats, refreshed by the health check
+
+// Live transcript / translation / notices from the server, shown in the popup
+const MAX_TRANSCRIPT_ENTRIES = 200;
+let transcriptEntries = [];
+let nextTranscriptEntryId = 1;
+
 // Health check and monitoring
 let healthCheckInterval = null;
 let lastHealthCheck = Date.now();
@@ -20,13 +73,14 @@ const errorLog = [];
 const MAX_ERROR_LOG_SIZE = 100;
 
 /**
- * Log errors with timestamp and context
+ * Log errors with timestamp, context and severity (same entry shape as offscreen.js)
  */
-function logError(error, context = '') {
+function logError(error, context = '', severity = 'error') {
   const errorEntry = {
     timestamp: new Date().toISOString(),
     error: error.toString(),
     context,
+    severity,
     stack: error.stack || 'No stack trace'
   };
   
@@ -46,11 +100,13 @@ function validateRecordingState() {
   
   // Check for stuck recording - timeout check removed
   
-  // Check for orphaned windows
-  if (recordingWindowId && isRecording) {
-    chrome.windows.get(recordingWindowId).catch(() => {
-      logError(new Error('Recording window lost'), 'validateRecordingState');
-      resetRecordingState();
+  // Check for an offscreen document or window that disappeared
+  if (offscreenMode && isRecording) {
+    isOffscreenHostAlive().then((alive) => {
+      if (!alive) {
+        logError(new Error('Offscreen document lost'), 'validateRecordingState');
+        resetRecordingState();
+      }
     });
   }
   
@@ -65,17 +121,15 @@ function forceStopRecording() {
   
   pendingStartRecording = false;
   isRecording = false;
+  isPaused = false;
+  pausedAt = null;
   recordingStartTime = null;
   
-  if (recordingWindowId) {
-    try {
-      chrome.windows.remove(recordingWindowId);
-    } catch (e) {
-      logError(e, 'forceStopRecording - window removal');
-    }
-    recordingWindowId = null;
-    recordingTabId = null;
+  if (offscreenMode) {
+    closeOffscreenHost();
+    captureTabId = null;
   }
+  recordingStateChanged();
   
   // Send broadcast stop message
   try {
@@ -91,10 +145,141 @@ function forceStopRecording() {
 function resetRecordingState() {
   pendingStartRecording = false;
   isRecording = false;
+  isPaused = false;
+  pausedAt = null;
+  offscreenMode = null;
   recordingWindowId = null;
   recordingTabId = null;
+  captureTabId = null;
   recordingStartTime = null;
   reconnectAttempts = 0;
+  pendingIdentityChange = null;
+  recordingStateChanged();
+}
+
+/**
+ * Called after every recording state change: persist it and refresh the badge
+ */
+function recordingStateChanged() {
+  persistRecordingState();
+  updateBadge();
+}
+
+/**
+ * Save the recording state to chrome.storage.session so that it survives
+ * the service worker being evicted while the offscreen document keeps streaming
+ */
+function persistRecordingState() {
+  const state = {
+    isRecording,
+    isPaused,
+    pausedAt,
+    offscreenMode,
+    recordingWindowId,
+    recordingTabId,
+    captureTabId,
+    recordingStartTime,
+    globalPublicId,
+    pendingIdentityChange,
+    mixLevels
+  };
+  
+  chrome.storage.session.set({ [RECORDING_STATE_KEY]: state })
+    .catch((e) => logError(e, 'persistRecordingState'));
+}
+
+/**
+ * Ask the running offscreen document for its status.
+ * Resolves null when no offscreen document is listening.
+ */
+function queryOffscreenStatus() {
+  return queryOffscreen('getStatus');
+}
+
+/**
+ * Send a request only the offscreen document answers; resolves null without one
+ */
+function queryOffscreen(action) {
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(() => resolve(null), 3000);
+    try {
+      chrome.runtime.sendMessage({ action }, (response) => {
+        clearTimeout(timeoutId);
+        if (chrome.runtime.lastError || !response) {
+          resolve(null);
+        } else {
+          resolve(response);
+        }
+      });
+    } catch (e) {
+      clearTimeout(timeoutId);
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Rebuild the recording state after a service worker restart: load what was
+ * persisted, then confirm with the offscreen document that it is still recording
+ */
+async function restoreRecordingState() {
+  try {
+    const stored = await chrome.storage.session.get(RECORDING_STATE_KEY);
+    const saved = stored[RECORDING_STATE_KEY];
+    if (saved && saved.mixLevels) {
+      // Kept between recordings too, so a muted mic stays muted after a restart
+      mixLevels = { ...mixLevels, ...saved.mixLevels };
+    }
+    if (!saved || !saved.isRecording) {
+      return;
+    }
+    
+    const status = await queryOffscreenStatus();
+    if (!status || !status.isRecording) {
+      console.log('[Background] Persisted recording is no longer running, clearing state');
+      if (saved.offscreenMode === 'document' && supportsOffscreenDocument() && await hasOffscreenDocument()) {
+        await chrome.offscreen.closeDocument();
+      }
+      recordingStateChanged();
+      return;
+    }
+    
+    isRecording = true;
+    offscreenMode = saved.offscreenMode;
+    recordingWindowId = saved.recordingWindowId;
+    recordingTabId = saved.recordingTabId;
+    globalPublicId = saved.globalPublicId;
+    pendingIdentityChange = saved.pendingIdentityChange || null;
+    // The offscreen document is the source of truth for anything it reports
+    recordingStartTime = status.recordingStartTime || saved.recordingStartTime;
+    captureTabId = status.targetTabId !== undefined ? status.targetTabId : saved.captureTabId;
+    isPaused = !!status.isPaused;
+    pausedAt = isPaused ? (saved.pausedAt || Date.now()) : null;
+    if (status.mixLevels) {
+      mixLevels = { ...mixLevels, ...status.mixLevels };
+    }
+    recordingStateChanged();
+    
+    console.log('[Background] Recording state restored after restart:', {
+      offscreenMode,
+      recordingStartTime,
+      captureTabId,
+      isPaused,
+      mixLevels
+    });
+  } catch (e) {
+    logError(e, 'restoreRecordingState');
+  }
+}
+
+const stateRestore = restoreRecordingState();
+
+/**
+ * Run a state-dependent message handler once the persisted state has been restored
+ */
+function afterStateRestore(handler) {
+  stateRestore.then(handler);
+  return true; // Async response
 }
 
 /**
@@ -108,6 +293,7 @@ function startHealthMonitoring() {
   healthCheckInterval = setInterval(() => {
     try {
       validateRecordingState();
+      refreshSessionStats();
       lastHealthCheck = Date.now();
     } catch (e) {
       logError(e, 'healthCheck');
@@ -118,8 +304,116 @@ function startHealthMonitoring() {
 // Initialize health monitoring
 startHealthMonitoring();
 
+const OFFSCREEN_URL = 'offscreen.html';
+
+function supportsOffscreenDocument() {
+  return !!(chrome.offscreen && chrome.offscreen.createDocument);
+}
+
+/**
+ * Whether the worker can get tab stream ids (Chrome 116+). Without it an offscreen
+ * document has no way to capture a tab, so the popup window fallback is used and
+ * captures the active tab itself with tabCapture.capture().
+ */
+function supportsTabStreamId() {
+  return !!(chrome.tabCapture && chrome.tabCapture.getMediaStreamId);
+}
+
+async function hasOffscreenDocument() {
+  if (chrome.offscreen.hasDocument) {
+    return chrome.offscreen.hasDocument();
+  }
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  return contexts.length > 0;
+}
+
+/**
+ * Open offscreen.html as a chrome.offscreen document, or in a hidden popup
+ * window on Chrome versions without the offscreen API or worker tab stream ids.
+ * Returns true once the page is loading; readiness is signalled by offscreenReady.
+ */
+async function openOffscreenHost() {
+  offscreenHostGeneration++;
+  if (!supportsOffscreenDocument() || !supportsTabStreamId()) {
+    const win = await openOffscreenWindow();
+    if (win) {
+      offscreenMode = 'window';
+    }
+    return offscreenMode === 'window';
+  }
+  
+  try {
+    // Only one offscreen document may exist, and a leftover one would not send offscreenReady again
+    if (await hasOffscreenDocument()) {
+      console.log('[Background] Closing leftover offscreen document');
+      await chrome.offscreen.closeDocument();
+    }
+    
+    await chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['USER_MEDIA', 'AUDIO_PLAYBACK'],
+      justification: 'Capture tab and microphone audio, encode it and stream it to the Paratalk server'
+    });
+    offscreenMode = 'document';
+    return true;
+  } catch (e) {
+    logError(e, 'openOffscreenHost');
+    return false;
+  }
+}
+
+/**
+ * Whether the offscreen document (or fallback window) is still open
+ */
+async function isOffscreenHostAlive() {
+  try {
+    if (offscreenMode === 'document') {
+      return await hasOffscreenDocument();
+    }
+    if (offscreenMode === 'window' && recordingWindowId !== null) {
+      await chrome.windows.get(recordingWindowId);
+      return true;
+    }
+  } catch (e) {
+    // Window was closed
+  }
+  return false;
+}
+
+/**
+ * Close the offscreen document (or fallback window), optionally after a delay.
+ * closeDocument() closes whichever document exists, so a delayed close is skipped
+ * once a new one has been opened (e.g. "Restart with new account"); windows are closed by id.
+ */
+function closeOffscreenHost(delay = 0) {
+  const mode = offscreenMode;
+  const windowId = recordingWindowId;
+  const generation = offscreenHostGeneration;
+  offscreenMode = null;
+  recordingWindowId = null;
+  recordingTabId = null;
+  
+  setTimeout(() => {
+    if (mode === 'document' && generation !== offscreenHostGeneration) {
+      // openOffscreenHost already closed this document before creating the new one
+      console.log('[Background] Skipping close of a replaced offscreen document');
+      return;
+    }
+    const closing = mode === 'document'
+      ? chrome.offscreen.closeDocument()
+      : (windowId !== null ? chrome.windows.remove(windowId) : Promise.resolve());
+    closing
+      .then(() => console.log('[Background] Offscreen host closed:', mode))
+      .catch((e) => logError(e, 'closeOffscreenHost'));
+  }, delay);
+}
+
 /**
- * Open offscreen.html in a hidden popup window to process audio
+ * Fallback for Chrome versions without chrome.offscreen:
+ * open offscreen.html in a hidden popup window to process audio
  */
 async function openOffscreenWindow() {
   try {
@@ -172,18 +466,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return false;
   }
   
-  console.log('Background received message:', message.action);
+  // Level updates arrive five times per second; don't flood the log
+  if (message.action !== 'audioLevels') {
+    console.log('Background received message:', message.action);
+  }
   
   try {
     switch (message.action) {
       case 'startRecording':
-        return handleStartRecording(sendResponse);
+        return afterStateRestore(() => handleStartRecording(message, sendResponse));
         
       case 'stopRecording':
-        return handleStopRecording(sendResponse);
+        return afterStateRestore(() => handleStopRecording(sendResponse));
+        
+      case 'pauseRecording':
+        return afterStateRestore(() => handlePauseRecording(true, sendResponse));
+        
+      case 'resumeRecording':
+        return afterStateRestore(() => handlePauseRecording(false, sendResponse));
         
       case 'getRecordingStatus':
-        return handleGetRecordingStatus(sendResponse);
+        return afterStateRestore(() => handleGetRecordingStatus(sendResponse));
         
       case 'offscreenReady':
         return handleOffscreenReady();
@@ -191,23 +494,66 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'recordingStopped':
         return handleRecordingStopped();
         
+      case 'stopProgress':
+        // Handled by the listener in handleStopRecording
+        return false;
+        
       case 'recordingError':
         return handleRecordingError(message);
         
+      case 'recordingLimitReached':
+        return handleRecordingLimitReached(message);
+        
+      case 'reconnectFailed':
+        return handleReconnectFailed();
+        
+      case 'resolveIdentityChange':
+        return afterStateRestore(() => handleResolveIdentityChange(message, sendResponse));
+        
+      case 'getAuthToken':
+        return afterStateRestore(() => handleGetAuthToken(message, sendResponse));
+        
+      case 'getCapturableTabs':
+        return handleGetCapturableTabs(message, sendResponse);
+        
+      case 'getMixLevels':
+        sendResponse({ mixLevels });
+        return false;
+        
+      case 'setMixLevels':
+        return handleSetMixLevels(message, sendResponse);
+        
+      case 'connectionStatus':
+        return handleConnectionStatus(message);
+        
+      case 'serverMessage':
+        return handleServerMessage(message);
+        
+      case 'audioLevels':
+        // Relay to the popup (if open); nothing is kept
+        chrome.runtime.sendMessage({ action: 'levelsUpdate', levels: message.levels }).catch(() => {
+          // No popup open to receive it
+        });
+        return false;
+        
+      case 'getTranscript':
+        sendResponse({ entries: transcriptEntries });
+        return false;
+        
+      case 'saveRecording':
+        return handleSaveRecording(message, sendResponse);
+        
       case 'getErrorLog':
         sendResponse({ errorLog: errorLog.slice(-10) }); // Last 10 errors
         return false;
         
       case 'getHealthStatus':
-        sendResponse({
-          isRecording,
-          pendingStartRecording,
-          recordingStartTime,
-          lastHealthCheck,
-          uptime: Date.now() - lastHealthCheck
-        });
+        sendResponse(getHealthStatus());
         return false;
         
+      case 'getDiagnostics':
+        return handleGetDiagnostics(sendResponse);
+        
       default:
         logError(new Error(`Unknown action: ${message.action}`), 'onMessage');
         sendResponse({ error: 'Unknown action' });
@@ -220,10 +566,158 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+function getHealthStatus() {
+  return {
+    isRecording,
+    isPaused,
+    pendingStartRecording,
+    recordingStartTime,
+    lastHealthCheck,
+    uptime: Date.now() - lastHealthCheck
+  };
+}
+
+/**
+ * Bundle for the diagnostics page: both error logs merged in time order,
+ * background health and state, and the offscreen document's own status
+ */
+function handleGetDiagnostics(sendResponse) {
+  Promise.all([queryOffscreenStatus(), queryOffscreen('getOffscreenErrorLog')])
+    .then(([offscreenStatus, offscreenLog]) => {
+      const entries = [
+        ...errorLog.map(entry => ({ source: 'background', ...entry })),
+        ...((offscreenLog && offscreenLog.errorLog) || []).map(entry => ({ source: 'offscreen', ...entry }))
+      ].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      
+      sendResponse({
+        generatedAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        health: getHealthStatus(),
+        state: {
+          offscreenMode,
+          captureTabId,
+          connectionStatus,
+          sinkStatuses,
+          lastRecordingError,
+          lastSessionStats,
+          authTokenExpiresAt: authToken ? new Date(authToken.expiresAt).toISOString() : null
+        },
+        offscreenStatus,
+        errorLog: entries
+      });
+    })
+    .catch((error) => {
+      logError(error, 'handleGetDiagnostics');
+      sendResponse({ error: 'Failed to collect diagnostics' });
+    });
+  return true; // Async response
+}
+
+/**
+ * Tabs the extension was invoked on (popup opened, shortcut or context menu).
+ * tabCapture.getMediaStreamId only accepts these (activeTab grant), and Chrome
+ * revokes the grant when the tab navigates or closes, so those forget the tab.
+ */
+const INVOKED_TABS_KEY = 'invokedTabIds'; // chrome.storage.session key
+let invokedTabIds = [];
+const invokedTabsRestore = chrome.storage.session.get(INVOKED_TABS_KEY)
+  .then((stored) => {
+    invokedTabIds = stored[INVOKED_TABS_KEY] || [];
+  })
+  .catch((error) => logError(error, 'restoreInvokedTabs', 'warning'));
+
+/**
+ * Apply a change to the invoked tab list and persist it when it changed
+ */
+function updateInvokedTabs(update) {
+  return invokedTabsRestore.then(() => {
+    const next = update(invokedTabIds);
+    if (next === invokedTabIds) return;
+    invokedTabIds = next;
+    chrome.storage.session.set({ [INVOKED_TABS_KEY]: invokedTabIds }).catch((error) => {
+      logError(error, 'updateInvokedTabs', 'warning');
+    });
+  });
+}
+
+/**
+ * Record that the extension was invoked on a tab (activeTab granted)
+ */
+function markTabInvoked(tabId) {
+  if (typeof tabId !== 'number') return invokedTabsRestore;
+  return updateInvokedTabs(ids => ids.includes(tabId) ? ids : [...ids, tabId]);
+}
+
+/**
+ * Drop a tab whose activeTab grant Chrome has revoked
+ */
+function forgetInvokedTab(tabId) {
+  return updateInvokedTabs(ids => ids.includes(tabId) ? ids.filter(id => id !== tabId) : ids);
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    forgetInvokedTab(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  forgetInvokedTab(tabId);
+});
+
+/**
+ * Handle the popup's request for the tabs it may offer in the picker.
+ * Opening the popup grants activeTab on the tab it was opened over.
+ */
+function handleGetCapturableTabs(message, sendResponse) {
+  markTabInvoked(message.activeTabId)
+    .then(() => sendResponse({ tabIds: invokedTabIds }))
+    .catch((error) => {
+      logError(error, 'handleGetCapturableTabs');
+      sendResponse({ tabIds: [] });
+    });
+  return true; // Async response
+}
+
+/**
+ * Resolve the tab to capture: the one picked in the popup, or the active tab
+ */
+async function resolveCaptureTab(targetTabId) {
+  if (typeof targetTabId === 'number') {
+    return chrome.tabs.get(targetTabId);
+  }
+  
+  const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!activeTab) {
+    throw new Error('No active tab to capture');
+  }
+  return activeTab;
+}
+
+/**
+ * Get a tab capture stream id for the offscreen document.
+ * Ids expire within seconds, so this is called only once the document is ready.
+ * Resolves null on the window fallback, which captures the tab itself.
+ */
+async function getTabStreamId(tabId) {
+  if (!supportsTabStreamId()) {
+    return null;
+  }
+  try {
+    return await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+  } catch (error) {
+    logError(error, 'getTabStreamId');
+    if (!invokedTabIds.includes(tabId)) {
+      throw new Error('Cannot capture this tab: open the Paratalk popup (or use the shortcut / context menu) on it first');
+    }
+    throw new Error(`Cannot capture this tab: ${error.message}`);
+  }
+}
+
 /**
  * Handle start recording request with validation and error handling
  */
-function handleStartRecording(sendResponse) {
+function handleStartRecording(message, sendResponse) {
   console.log('[Background] handleStartRecording called');
   try {
     // Validate current state
@@ -233,19 +727,18 @@ function handleStartRecording(sendResponse) {
       return false;
     }
     
-    // Validate system capabilities
-    if (!chrome.tabCapture) {
-      console.error('[Background] TabCapture API not available');
-      logError(new Error('TabCapture API not available'), 'handleStartRecording');
-      sendResponse({ error: 'Audio capture not supported' });
-      return false;
-    }
-    
     console.log('[Background] Starting recording process...');
     
     // Reset state
     resetRecordingState();
     recordingStartTime = Date.now();
+    transcriptEntries = [];
+    broadcastTranscriptCleared();
+    connectionStatus = null;
+    sinkStatuses = {};
+    lastRecordingError = null;
+    lastStopNotice = null;
+    lastSessionStats = null;
     
     // Find public IDs with timeout
     const publicIdTimeout = setTimeout(() => {
@@ -268,18 +761,43 @@ function handleStartRecording(sendResponse) {
       }
       
       pendingStartRecording = true;
-      console.log('[Background] Calling ensureOffscreenDocument...');
       
-      ensureOffscreenDocument()
-        .then(() => {
+      resolveCaptureTab(message.targetTabId)
+        .then((tab) => {
+          if (!supportsTabStreamId() && !tab.active) {
+            // tabCapture.capture() in the fallback window can't be pointed at another tab
+            throw new Error('This Chrome version can only capture the active tab');
+          }
+          captureTabId = tab.id;
+          console.log('[Background] Capture target tab:', tab.id, tab.title);
+          return ParatalkSettings.load();
+        })
+        .then((settings) => {
+          currentSettings = settings;
+          return chrome.storage.local.get(MIC_DEVICE_KEY);
+        })
+        .then((stored) => {
+          micDeviceId = stored[MIC_DEVICE_KEY] || '';
+          console.log('[Background] Calling ensureOffscreenDocument...');
+          return ensureOffscreenDocument();
+        })
+        .then(() => getTabStreamId(captureTabId))
+        .then((streamId) => {
+          startOffscreenRecording(streamId);
           console.log('[Background] Recording start initiated successfully');
           sendResponse({ success: true });
         })
         .catch((error) => {
-          console.error('[Background] ensureOffscreenDocument failed:', error);
-          logError(error, 'handleStartRecording - ensureOffscreenDocument');
+          console.error('[Background] Recording start failed:', error);
+          logError(error, 'handleStartRecording');
+          if (offscreenMode) {
+            forceStopRecording();
+          }
           pendingStartRecording = false;
           recordingStartTime = null;
+          captureTabId = null;
+          lastRecordingError = error.message || 'Failed to initialize recording';
+          recordingStateChanged();
           sendResponse({ error: error.message || 'Failed to initialize recording' });
         });
     });
@@ -295,9 +813,9 @@ function handleStartRecording(sendResponse) {
 }
 
 /**
- * Handle stop recording request
+ * Handle stop recording request; reason is reported to the server in session.end
  */
-function handleStopRecording(sendResponse) {
+function handleStopRecording(sendResponse, reason = 'stopped') {
   try {
     if (!isRecording && !pendingStartRecording) {
       console.log('Stop requested but not recording');
@@ -309,35 +827,38 @@ function handleStopRecording(sendResponse) {
     console.log('Initiating stop recording process');
     
     // Set up timeout for stop operation
-    const stopTimeoutId = setTimeout(() => {
+    const onStopTimeout = () => {
+      chrome.runtime.onMessage.removeListener(stopListener);
       logError(new Error('Stop operation timeout'), 'handleStopRecording');
       forceStopRecording();
       sendResponse({ success: true });
-    }, 10000);
+    };
+    let stopTimeoutId = setTimeout(onStopTimeout, STOP_TIMEOUT);
     
     // Set up stop completion listener
     const stopListener = (message) => {
+      if (message && message.action === 'stopProgress') {
+        // The offscreen document is saving the local copy; closing it now would lose the file
+        clearTimeout(stopTimeoutId);
+        stopTimeoutId = setTimeout(onStopTimeout, (Number(message.waitMs) || 0) + STOP_TIMEOUT);
+        return;
+      }
       if (message && message.action === 'recordingStopped') {
         console.log('Recording stop confirmed by offscreen');
         clearTimeout(stopTimeoutId);
         chrome.runtime.onMessage.removeListener(stopListener);
         
         isRecording = false;
+        isPaused = false;
+        pausedAt = null;
         recordingStartTime = null;
         
-        // Close window after confirmation
-        if (recordingWindowId) {
-          setTimeout(() => {
-            try {
-              chrome.windows.remove(recordingWindowId);
-              console.log('Recording window closed');
-            } catch (e) {
-              logError(e, 'handleStopRecording - window close');
-            }
-          }, 100);
-          recordingWindowId = null;
-          recordingTabId = null;
+        // Close the offscreen document after confirmation
+        if (offscreenMode) {
+          closeOffscreenHost(100);
+          captureTabId = null;
         }
+        recordingStateChanged();
         
         sendResponse({ success: true });
       }
@@ -347,7 +868,7 @@ function handleStopRecording(sendResponse) {
     
     // Send stop message
     try {
-      chrome.runtime.sendMessage({ action: 'stopRecordingInOffscreen' });
+      chrome.runtime.sendMessage({ action: 'stopRecordingInOffscreen', reason });
     } catch (e) {
       logError(e, 'handleStopRecording - message send');
       clearTimeout(stopTimeoutId);
@@ -370,31 +891,39 @@ function handleStopRecording(sendResponse) {
  */
 function handleGetRecordingStatus(sendResponse) {
   try {
-    console.log('[background.js] Status check - isRecording:', isRecording, 'pendingStart:', pendingStartRecording, 'windowId:', recordingWindowId);
+    console.log('[background.js] Status check - isRecording:', isRecording, 'pendingStart:', pendingStartRecording, 'offscreen:', offscreenMode);
     
     if (pendingStartRecording) {
       sendResponse({ isRecording: false, isPending: true });
       return false;
     }
     
-    if (isRecording && recordingWindowId) {
-      chrome.windows.get(recordingWindowId)
-        .then(() => {
-          console.log('[background.js] Recording window exists, confirming recording active');
+    if (isRecording && offscreenMode) {
+      isOffscreenHostAlive()
+        .then((alive) => {
+          if (!alive) {
+            throw new Error('Offscreen document missing');
+          }
+          console.log('[background.js] Offscreen document exists, confirming recording active');
           sendResponse({ 
             isRecording: true, 
             startTime: recordingStartTime,
-            duration: recordingStartTime ? Date.now() - recordingStartTime : 0
+            duration: recordingStartTime ? Date.now() - recordingStartTime : 0,
+            isPaused,
+            pausedAt,
+            captureTabId,
+            connectionStatus,
+            identityChange: pendingIdentityChange
           });
         })
         .catch(() => {
-          logError(new Error('Recording window missing during status check'), 'handleGetRecordingStatus');
+          logError(new Error('Offscreen document missing during status check'), 'handleGetRecordingStatus');
           resetRecordingState();
           sendResponse({ isRecording: false });
         });
       return true;
     } else {
-      sendResponse({ isRecording });
+      sendResponse({ isRecording, notice: lastStopNotice });
       return false;
     }
   } catch (error) {
@@ -405,64 +934,392 @@ function handleGetRecordingStatus(sendResponse) {
 }
 
 /**
- * Handle offscreen ready notification
+ * Pause or resume an active recording. Capture and the socket stay alive;
+ * the offscreen document stops encoding and tells the server about the gap.
  */
-function handleOffscreenReady() {
+function handlePauseRecording(pause, sendResponse) {
   try {
-    console.log('Offscreen document ready');
-    if (pendingStartRecording) {
-      console.log('Sending startRecordingInOffscreen message with publicId:', globalPublicId);
-      
-      try {
-        chrome.runtime.sendMessage({ 
-          action: 'startRecordingInOffscreen', 
-          publicId: globalPublicId 
-        });
-        pendingStartRecording = false;
-        isRecording = true;
-      } catch (e) {
-        logError(e, 'handleOffscreenReady - message send');
-        pendingStartRecording = false;
-        recordingStartTime = null;
-      }
+    if (!isRecording) {
+      sendResponse({ error: 'Not recording' });
+      return false;
+    }
+    
+    if (isPaused === pause) {
+      sendResponse({ success: true, isPaused, pausedAt });
+      return false;
+    }
+    
+    try {
+      chrome.runtime.sendMessage({ action: pause ? 'pauseRecordingInOffscreen' : 'resumeRecordingInOffscreen' });
+    } catch (e) {
+      logError(e, 'handlePauseRecording - message send');
+      sendResponse({ error: `Failed to ${pause ? 'pause' : 'resume'} recording` });
+      return false;
     }
+    
+    isPaused = pause;
+    pausedAt = pause ? Date.now() : null;
+    recordingStateChanged();
+    console.log(`[Background] Recording ${pause ? 'paused' : 'resumed'}`);
+    
+    sendResponse({ success: true, isPaused, pausedAt });
     return false;
   } catch (error) {
-    logError(error, 'handleOffscreenReady');
-    pendingStartRecording = false;
-    recordingStartTime = null;
+    logError(error, 'handlePauseRecording');
+    sendResponse({ error: 'Failed to change pause state' });
     return false;
   }
 }
 
 /**
- * Handle recording stopped notification
+ * Handle mix level changes from the popup and forward them to an active recording
  */
-function handleRecordingStopped() {
+function handleSetMixLevels(message, sendResponse) {
   try {
-    console.log('Recording stopped notification received');
-    // This is handled by the listener in handleStopRecording
+    const levels = message.mixLevels || {};
+    const next = { ...mixLevels };
+    
+    ['tabGain', 'micGain'].forEach((key) => {
+      if (typeof levels[key] === 'number' && Number.isFinite(levels[key])) {
+        next[key] = Math.min(MAX_GAIN, Math.max(0, levels[key]));
+      }
+    });
+    ['tabMuted', 'micMuted'].forEach((key) => {
+      if (typeof levels[key] === 'boolean') {
+        next[key] = levels[key];
+      }
+    });
+    
+    mixLevels = next;
+    persistRecordingState();
+    
+    if (isRecording) {
+      try {
+        chrome.runtime.sendMessage({ action: 'setMixLevelsInOffscreen', mixLevels });
+      } catch (e) {
+        logError(e, 'handleSetMixLevels - message send');
+      }
+    }
+    
+    sendResponse({ success: true, mixLevels });
     return false;
   } catch (error) {
-    logError(error, 'handleRecordingStopped');
+    logError(error, 'handleSetMixLevels');
+    sendResponse({ error: 'Failed to update mix levels' });
     return false;
   }
 }
 
 /**
- * Handle recording error notification
+ * Track the offscreen WebSocket state and relay it to the popup
  */
-function handleRecordingError(message) {
+function handleConnectionStatus(message) {
   try {
-    const error = new Error(message.error || 'Unknown recording error');
-    logError(error, 'Recording error from offscreen');
+    if (!message.status || typeof message.status.state !== 'string') {
+      logError(new Error('Invalid connection status'), 'handleConnectionStatus');
+      return false;
+    }
     
-    // Force cleanup on error
-    forceStopRecording();
+    // Extra destinations don't drive the popup or the badge; only the main connection does
+    if (message.sink && message.sink !== ParatalkSettings.PRIMARY_SINK) {
+      sinkStatuses[message.sink] = message.status;
+      if (message.status.state === 'gave-up') {
+        logError(new Error(`Streaming to ${message.sink} gave up after ${message.status.attempt} attempts`), 'handleConnectionStatus', 'warning');
+      }
+      return false;
+    }
     
+    connectionStatus = message.status;
+    if (connectionStatus.state === 'gave-up') {
+      logError(new Error(`WebSocket reconnection gave up after ${connectionStatus.attempt} attempts`), 'handleConnectionStatus');
+      lastRecordingError = 'Could not reconnect to the server';
+    }
+    updateBadge();
+    
+    chrome.runtime.sendMessage({ action: 'connectionStatusUpdate', status: connectionStatus }).catch(() => {
+      // No popup open to receive it
+    });
     return false;
   } catch (error) {
-    logError(error, 'handleRecordingError');
+    logError(error, 'handleConnectionStatus');
+    return false;
+  }
+}
+
+/**
+ * Find the transcript entry for a segment (or the open partial when the server sends no segmentId)
+ */
+function findTranscriptEntry(segmentId) {
+  for (let i = transcriptEntries.length - 1; i >= 0; i--) {
+    const entry = transcriptEntries[i];
+    if (entry.kind !== 'transcript') continue;
+    if (segmentId ? entry.segmentId === segmentId : !entry.segmentId && !entry.final) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+function addTranscriptEntry(fields) {
+  const entry = { id: nextTranscriptEntryId++, ...fields };
+  transcriptEntries.push(entry);
+  if (transcriptEntries.length > MAX_TRANSCRIPT_ENTRIES) {
+    transcriptEntries.shift();
+  }
+  return entry;
+}
+
+/**
+ * Merge an inbound server message (already normalized by the offscreen document)
+ * into the transcript and relay the changed entry to the popup
+ */
+function handleServerMessage(message) {
+  try {
+    const inbound = message.message;
+    if (!inbound || typeof inbound.type !== 'string') {
+      logError(new Error('Invalid server message relay'), 'handleServerMessage');
+      return false;
+    }
+    
+    const { INBOUND_TYPES } = ParatalkProtocol;
+    let entry = null;
+    
+    switch (inbound.type) {
+      case INBOUND_TYPES.TRANSCRIPT_PARTIAL:
+      case INBOUND_TYPES.TRANSCRIPT_FINAL: {
+        const final = inbound.type === INBOUND_TYPES.TRANSCRIPT_FINAL;
+        entry = findTranscriptEntry(inbound.segmentId);
+        if (entry && !entry.final) {
+          entry.text = inbound.text;
+          entry.final = final;
+          entry.speaker = inbound.speaker || entry.speaker;
+        } else {
+          entry = addTranscriptEntry({
+            kind: 'transcript',
+            segmentId: inbound.segmentId,
+            speaker: inbound.speaker,
+            text: inbound.text,
+            final,
+            receivedAt: inbound.receivedAt
+          });
+        }
+        break;
+      }
+        
+      case INBOUND_TYPES.TRANSLATION:
+        entry = inbound.segmentId ? findTranscriptEntry(inbound.segmentId) : null;
+        if (entry) {
+          entry.translation = inbound.text;
+          entry.language = inbound.language;
+        } else {
+          entry = addTranscriptEntry({
+            kind: 'translation',
+            segmentId: inbound.segmentId,
+            text: inbound.text,
+            language: inbound.language,
+            receivedAt: inbound.receivedAt
+          });
+        }
+        break;
+        
+      case INBOUND_TYPES.ERROR:
+        logError(new Error(`Server error: ${inbound.message}`), 'handleServerMessage');
+        entry = addTranscriptEntry({
+          kind: 'error',
+          text: inbound.code ? `${inbound.message} (${inbound.code})` : inbound.message,
+          receivedAt: inbound.receivedAt
+        });
+        break;
+        
+      case INBOUND_TYPES.SERVER_NOTICE:
+        entry = addTranscriptEntry({
+          kind: 'notice',
+          level: inbound.level,
+          text: inbound.message,
+          receivedAt: inbound.receivedAt
+        });
+        break;
+        
+      default:
+        console.log('[Background] Ignoring server message type:', inbound.type);
+        return false;
+    }
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'transcriptUpdate', entry }).catch(() => {
+        // No popup open to receive it
+      });
+    } catch (e) {
+      logError(e, 'handleServerMessage - relay');
+    }
+    
+    return false;
+  } catch (error) {
+    logError(error, 'handleServerMessage');
+    return false;
+  }
+}
+
+function broadcastTranscriptCleared() {
+  chrome.runtime.sendMessage({ action: 'transcriptCleared' }).catch(() => {
+    // No popup open to receive it
+  });
+}
+
+/**
+ * Save the offscreen document's local copy (a blob URL) via chrome.downloads.
+ * Responds once the download finishes so the document can release the blob.
+ */
+function handleSaveRecording(message, sendResponse) {
+  try {
+    if (!chrome.downloads) {
+      sendResponse({ error: 'Downloads API not available' });
+      return false;
+    }
+    
+    if (typeof message.url !== 'string' || typeof message.filename !== 'string') {
+      sendResponse({ error: 'Invalid save request' });
+      return false;
+    }
+    
+    chrome.downloads.download({
+      url: message.url,
+      filename: message.filename,
+      conflictAction: 'uniquify',
+      saveAs: false
+    })
+      .then((downloadId) => {
+        let timeoutId = null;
+        
+        const listener = (delta) => {
+          if (delta.id !== downloadId || !delta.state) return;
+          if (delta.state.current === 'complete' || delta.state.current === 'interrupted') {
+            clearTimeout(timeoutId);
+            chrome.downloads.onChanged.removeListener(listener);
+            
+            if (delta.state.current === 'complete') {
+              console.log('[Background] Local copy saved:', message.filename);
+              sendResponse({ success: true, downloadId });
+            } else {
+              logError(new Error('Local copy download interrupted'), 'handleSaveRecording');
+              sendResponse({ error: 'Download interrupted' });
+            }
+          }
+        };
+        
+        // Still downloading: the offscreen document then keeps the blob URL alive
+        const waitMs = typeof message.timeoutMs === 'number' && message.timeoutMs > 0 ? message.timeoutMs : 30000;
+        timeoutId = setTimeout(() => {
+          chrome.downloads.onChanged.removeListener(listener);
+          sendResponse({ success: true, downloadId, pending: true });
+        }, waitMs);
+        
+        chrome.downloads.onChanged.addListener(listener);
+      })
+      .catch((error) => {
+        logError(error, 'handleSaveRecording');
+        sendResponse({ error: error.message || 'Download failed' });
+      });
+    
+    return true; // Async response
+  } catch (error) {
+    logError(error, 'handleSaveRecording');
+    sendResponse({ error: 'Failed to save recording' });
+    return false;
+  }
+}
+
+/**
+ * Handle offscreen ready notification
+ */
+function handleOffscreenReady() {
+  // The start itself is sent by handleStartRecording once a stream id is available
+  console.log('Offscreen document ready');
+  return false;
+}
+
+/**
+ * Tell the offscreen document to start capturing the given tab stream
+ */
+function startOffscreenRecording(streamId) {
+  if (!pendingStartRecording) {
+    throw new Error('Recording start was cancelled');
+  }
+  
+  console.log('Sending startRecordingInOffscreen message with publicId:', globalPublicId);
+  chrome.runtime.sendMessage({ 
+    action: 'startRecordingInOffscreen', 
+    publicId: globalPublicId,
+    settings: currentSettings,
+    mixLevels,
+    micDeviceId,
+    streamId,
+    targetTabId: captureTabId
+  });
+  pendingStartRecording = false;
+  isRecording = true;
+  recordingStateChanged();
+}
+
+/**
+ * Handle recording stopped notification
+ */
+function handleRecordingStopped() {
+  try {
+    console.log('Recording stopped notification received');
+    // This is handled by the listener in handleStopRecording
+    return false;
+  } catch (error) {
+    logError(error, 'handleRecordingStopped');
+    return false;
+  }
+}
+
+/**
+ * The offscreen document hit the maximum recording time: stop through the
+ * normal stop path and tell the user on the badge and in the popup
+ */
+function handleRecordingLimitReached(message) {
+  if (!isRecording) {
+    return false;
+  }
+  
+  lastStopNotice = `Stopped at the ${message.maxRecordingMin}-minute limit`;
+  console.log(`[Background] ${lastStopNotice}`);
+  handleStopRecording(confirmOnBadge('max-duration stop'), 'max-duration');
+  return false;
+}
+
+/**
+ * Every streaming destination gave up reconnecting. Stop through the normal stop
+ * path rather than forceStopRecording, so the offscreen document can save the
+ * local copy before it is closed.
+ */
+function handleReconnectFailed() {
+  if (!isRecording) {
+    return false;
+  }
+  
+  lastRecordingError = 'Could not reconnect to the server';
+  handleStopRecording(confirmOnBadge('reconnect-failed stop'), 'reconnect_failed');
+  return false;
+}
+
+/**
+ * Handle recording error notification
+ */
+function handleRecordingError(message) {
+  try {
+    const error = new Error(message.error || 'Unknown recording error');
+    logError(error, 'Recording error from offscreen');
+    lastRecordingError = error.message;
+    
+    // Force cleanup on error
+    forceStopRecording();
+    
+    return false;
+  } catch (error) {
+    logError(error, 'handleRecordingError');
     return false;
   }
 }
@@ -474,57 +1331,63 @@ async function ensureOffscreenDocument() {
   console.log('[Background] ensureOffscreenDocument called');
   return new Promise(async (resolve, reject) => {
     let attempts = 0;
-    const maxAttempts = 3;
+    const retryPolicy = new RetryPolicy({ baseDelay: 1000, maxDelay: 5000, deadline: 45000 });
     
     const tryCreateOffscreen = async () => {
       attempts++;
       
       try {
-        console.log(`[Background] Creating offscreen document (attempt ${attempts}/${maxAttempts})`);
+        console.log(`[Background] Creating offscreen document (attempt ${attempts})`);
         
-        // Create the offscreen window
-        console.log('[Background] Calling openOffscreenWindow...');
-        const window = await openOffscreenWindow();
+        // Listen for ready message before the page can send it;
+        // createDocument() may only resolve after the page has loaded
+        let ready = false;
+        let timeoutId = null;
+        const messageListener = (message) => {
+          if (message && message.action === 'offscreenReady') {
+            console.log('[Background] Offscreen document ready');
+            ready = true;
+            clearTimeout(timeoutId);
+            chrome.runtime.onMessage.removeListener(messageListener);
+            resolve();
+          }
+        };
+        chrome.runtime.onMessage.addListener(messageListener);
         
-        if (!window) {
-          throw new Error('Failed to create offscreen window');
+        console.log('[Background] Calling openOffscreenHost...');
+        const opened = await openOffscreenHost();
+        
+        if (!opened) {
+          chrome.runtime.onMessage.removeListener(messageListener);
+          throw new Error('Failed to create offscreen document');
         }
         
-        console.log('[Background] Offscreen window created:', window.id);
+        console.log('[Background] Offscreen host created:', offscreenMode);
+        if (ready) {
+          return;
+        }
         
         // Set timeout for ready message
-        const timeoutId = setTimeout(() => {
+        timeoutId = setTimeout(() => {
           chrome.runtime.onMessage.removeListener(messageListener);
           
-          if (attempts < maxAttempts) {
-            console.log(`[Background] Offscreen setup timeout, retrying (${attempts}/${maxAttempts})`);
-            setTimeout(tryCreateOffscreen, 1000);
-          } else {
+          const delay = retryPolicy.schedule(tryCreateOffscreen);
+          if (delay === null) {
             logError(new Error('Offscreen document setup timed out after all attempts'), 'ensureOffscreenDocument');
             reject(new Error('Offscreen document setup timed out'));
+          } else {
+            console.log(`[Background] Offscreen setup timeout, retrying in ${delay}ms (attempt ${attempts})`);
           }
         }, 15000); // 15 second timeout
         
-        // Listen for ready message
-        const messageListener = (message) => {
-          if (message && message.action === 'offscreenReady') {
-            console.log('[Background] Offscreen document ready');
-            clearTimeout(timeoutId);
-            chrome.runtime.onMessage.removeListener(messageListener);
-            resolve();
-          }
-        };
-        
-        chrome.runtime.onMessage.addListener(messageListener);
-        
       } catch (error) {
         logError(error, `ensureOffscreenDocument - attempt ${attempts}`);
         
-        if (attempts < maxAttempts) {
-          console.log(`[Background] Retrying offscreen creation (${attempts}/${maxAttempts})`);
-          setTimeout(tryCreateOffscreen, 2000);
-        } else {
+        const delay = retryPolicy.schedule(tryCreateOffscreen);
+        if (delay === null) {
           reject(error);
+        } else {
+          console.log(`[Background] Retrying offscreen creation in ${delay}ms (attempt ${attempts})`);
         }
       }
     };
@@ -533,23 +1396,269 @@ async function ensureOffscreenDocument() {
   });
 }
 
-// すべてのタブからpublicIdを探して取得する関数
+const BADGE_COLORS = {
+  recording: '#ef4444',
+  paused: '#f59e0b',
+  reconnecting: '#3b82f6',
+  error: '#7f1d1d'
+};
+
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const pad = n => String(n).padStart(2, '0');
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  return `${hours > 0 ? `${hours}:${pad(minutes)}` : minutes}:${pad(totalSeconds % 60)}`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Action badge and tooltip reflecting the recording state:
+ * elapsed minutes while recording, paused, reconnecting, or the last error
+ */
+function updateBadge() {
+  try {
+    let text = '';
+    let color = BADGE_COLORS.recording;
+    let title = 'Paratalk';
+    
+    if (isRecording) {
+      const elapsed = recordingStartTime ? Date.now() - recordingStartTime : 0;
+      const minutes = Math.floor(elapsed / 60000);
+      const details = [`Session ${formatDuration(elapsed)}`];
+      if (lastSessionStats) {
+        details.push(`${formatBytes(lastSessionStats.bytesSent || 0)} sent`);
+      }
+      
+      if (pendingIdentityChange) {
+        text = 'ID?';
+        color = BADGE_COLORS.paused;
+        title = `Paratalk: Signed-in account changed - open the popup to restart or keep streaming (${details.join(', ')})`;
+      } else if (isPaused) {
+        text = 'II';
+        color = BADGE_COLORS.paused;
+        title = `Paratalk: Paused - ${details.join(', ')}`;
+      } else if (connectionStatus && connectionStatus.state === 'retrying') {
+        text = '...';
+        color = BADGE_COLORS.reconnecting;
+        title = `Paratalk: Reconnecting (attempt ${connectionStatus.attempt}) - ${details.join(', ')}`;
+      } else {
+        // The badge only fits a few characters: REC, then 1m-99m, then hours
+        text = minutes < 1 ? 'REC' : (minutes < 100 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`);
+        title = `Paratalk: Recording - ${details.join(', ')}`;
+      }
+    } else if (lastRecordingError) {
+      text = 'ERR';
+      color = BADGE_COLORS.error;
+      title = `Paratalk: Recording stopped with an error - ${lastRecordingError}`;
+    } else if (lastStopNotice) {
+      text = 'MAX';
+      color = BADGE_COLORS.paused;
+      title = `Paratalk: ${lastStopNotice}`;
+    }
+    
+    chrome.action.setBadgeText({ text });
+    chrome.action.setBadgeBackgroundColor({ color });
+    chrome.action.setTitle({ title });
+  } catch (e) {
+    logError(e, 'updateBadge');
+  }
+}
+
+/**
+ * Fetch bytes sent from the offscreen document for the tooltip
+ */
+function refreshSessionStats() {
+  if (!isRecording) {
+    updateBadge();
+    return;
+  }
+  
+  queryOffscreenStatus().then((status) => {
+    if (status && status.sessionStats) {
+      lastSessionStats = status.sessionStats;
+    }
+    updateBadge();
+  });
+}
+
+/**
+ * Show a short confirmation on the badge, then go back to the recording state
+ */
+function flashBadge(text, color) {
+  try {
+    chrome.action.setBadgeText({ text });
+    chrome.action.setBadgeBackgroundColor({ color });
+    setTimeout(updateBadge, 2000);
+  } catch (e) {
+    logError(e, 'flashBadge');
+  }
+}
+
+/**
+ * Badge confirmation for a command or context menu action, using the same
+ * response the popup would get from the handler
+ */
+function confirmOnBadge(context) {
+  return (response) => {
+    if (response && response.error) {
+      console.warn(`[Background] ${context} failed:`, response.error);
+      flashBadge('ERR', '#ef4444');
+    } else {
+      updateBadge();
+    }
+  };
+}
+
+/**
+ * Start recording the given tab, or stop the current recording
+ */
+function toggleRecording(tabId) {
+  if (isRecording || pendingStartRecording) {
+    handleStopRecording(confirmOnBadge('stop'));
+  } else {
+    handleStartRecording({ targetTabId: tabId }, confirmOnBadge('start'));
+  }
+}
+
+// Keyboard shortcuts (manifest "commands"; change them at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener((command, tab) => {
+  console.log('[Background] Command:', command);
+  if (tab) {
+    markTabInvoked(tab.id);
+  }
+  
+  stateRestore.then(() => {
+    switch (command) {
+      case 'toggle-recording':
+        toggleRecording(tab ? tab.id : undefined);
+        break;
+        
+      case 'toggle-pause':
+        if (!isRecording) {
+          flashBadge('OFF', '#6b7280');
+          break;
+        }
+        handlePauseRecording(!isPaused, confirmOnBadge('pause'));
+        break;
+        
+      case 'toggle-mic-mute':
+        handleSetMixLevels({ mixLevels: { micMuted: !mixLevels.micMuted } }, (response) => {
+          if (response && response.mixLevels) {
+            flashBadge(response.mixLevels.micMuted ? 'MUTE' : 'MIC', response.mixLevels.micMuted ? '#6b7280' : '#10b981');
+          }
+        });
+        break;
+        
+      default:
+        logError(new Error(`Unknown command: ${command}`), 'onCommand');
+    }
+  });
+});
+
+// Context menu entry on pages and on the extension icon
+const CONTEXT_MENU_STREAM_TAB = 'stream-this-tab';
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_STREAM_TAB,
+    title: 'Stream this tab',
+    contexts: ['page', 'action']
+  }, () => {
+    if (chrome.runtime.lastError) {
+      logError(new Error(chrome.runtime.lastError.message), 'contextMenus.create');
+    }
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_STREAM_TAB || !tab) {
+    return;
+  }
+  markTabInvoked(tab.id);
+  
+  stateRestore.then(() => {
+    if (isRecording || pendingStartRecording) {
+      // Already streaming (possibly another tab): stop from the popup or the shortcut first
+      flashBadge('BUSY', '#f59e0b');
+      return;
+    }
+    handleStartRecording({ targetTabId: tab.id }, confirmOnBadge('start'));
+  });
+});
+
+const PUBLIC_ID_COOKIE = 'public_id';
+
+/**
+ * Whether a URL belongs to one of the configured Paratalk origins
+ * (settings.publicIdOrigins; "https://*.example.com" matches any subdomain)
+ */
+function isPublicIdOrigin(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+  
+  return currentSettings.publicIdOrigins.some((pattern) => {
+    const allowed = new URL(pattern.replace('*.', ''));
+    if (parsed.protocol !== allowed.protocol || parsed.port !== allowed.port) {
+      return false;
+    }
+    return pattern.includes('://*.')
+      ? parsed.hostname.endsWith(`.${allowed.hostname}`)
+      : parsed.hostname === allowed.hostname;
+  });
+}
+
+/**
+ * Whether a cookie would be sent to one of the configured Paratalk origins
+ */
+function isPublicIdCookie(cookie) {
+  if (cookie.name !== PUBLIC_ID_COOKIE) {
+    return false;
+  }
+  
+  const host = cookie.domain.replace(/^\./, '');
+  const scheme = cookie.secure ? 'https' : 'http';
+  if (isPublicIdOrigin(`${scheme}://${host}`) || isPublicIdOrigin(`https://${host}`)) {
+    return true;
+  }
+  // A domain cookie (e.g. ".paratalk.jp") also reaches allowed subdomains
+  return !cookie.hostOnly && currentSettings.publicIdOrigins.some((pattern) => {
+    const allowedHost = new URL(pattern.replace('*.', '')).hostname;
+    return allowedHost === host || allowedHost.endsWith(`.${host}`);
+  });
+}
+
+// Paratalkのオリジン（設定の publicIdOrigins）のタブと、オリジンそのものから publicId を探す。
+// 他サイトの同名クッキーは使わない
 function findAllPublicIds(callback) {
   chrome.tabs.query({}, function(tabs) {
+    const urls = tabs
+      .filter(tab => tab.url && isPublicIdOrigin(tab.url))
+      .map(tab => ({ tabId: tab.id, url: tab.url }));
+    // Exact origins are checked even without an open tab
+    currentSettings.publicIdOrigins
+      .filter(pattern => !pattern.includes('://*.'))
+      .forEach(origin => urls.push({ tabId: null, url: `${origin}/` }));
+    
     let results = [];
-    let pending = tabs.length;
+    let pending = urls.length;
     if (pending === 0) {
       callback(results);
       return;
     }
-    tabs.forEach(tab => {
-      if (!tab.url) {
-        if (--pending === 0) callback(results);
-        return;
-      }
-      chrome.cookies.get({url: tab.url, name: "public_id"}, function(cookie) {
-        if (cookie) {
-          results.push({tabId: tab.id, url: tab.url, public_id: cookie.value});
+    urls.forEach(({ tabId, url }) => {
+      chrome.cookies.get({url, name: PUBLIC_ID_COOKIE}, function(cookie) {
+        if (cookie && !results.some(result => result.public_id === cookie.value)) {
+          results.push({tabId, url, public_id: cookie.value});
         }
         if (--pending === 0) callback(results);
       });
@@ -557,28 +1666,163 @@ function findAllPublicIds(callback) {
   });
 }
 
-// 拡張機能起動時に全タブからpublicIdを取得
+// 拡張機能起動時にpublicIdを取得
 chrome.runtime.onStartup.addListener(() => {
   findAllPublicIds((publicIds) => {
+    if (isRecording) {
+      // Restored session keeps its identity; changes are handled by refreshPublicId
+      return;
+    }
     if (publicIds.length > 0) {
       // 最初に見つかったpublicIdをグローバル変数にセット
-      globalPublicId = publicIds[0].publicId;
+      globalPublicId = publicIds[0].public_id;
       console.log("[onStartup] publicId一覧:", publicIds);
       console.log("[onStartup] 最初に見つかったpublicId:", globalPublicId);
     } else {
       globalPublicId = null;
-      console.log("[onStartup] どのタブからもpublicIdが見つかりませんでした");
+      console.log("[onStartup] Paratalkのオリジンから publicId が見つかりませんでした");
     }
   });
 });
-//publicIdを取得するのはparatalkのドメインだけ
 
-// publicIdをWebSocketのURLパラメータに含めて取得する関数
-function getWebSocketUrlWithPublicId() {
-  const baseUrl = 'wss://app.paratalk.jp/ws';
-  if (globalPublicId) {
-    return `${baseUrl}?publicId=${encodeURIComponent(globalPublicId)}`;
-  } else {
-    return baseUrl;
+// Login/logout on a Paratalk origin changes the public_id cookie
+chrome.cookies.onChanged.addListener(({ removed, cookie, cause }) => {
+  if (!isPublicIdCookie(cookie)) {
+    return;
+  }
+  // An overwrite is reported as a removal followed by the new cookie
+  if (removed && cause === 'overwrite') {
+    return;
+  }
+  
+  clearTimeout(publicIdRefreshTimer);
+  publicIdRefreshTimer = setTimeout(refreshPublicId, 500);
+});
+
+let publicIdRefreshTimer = null;
+
+/**
+ * Re-read the identity after a cookie change. Idle: just switch. While recording the
+ * session keeps the old identity until the user decides in the popup.
+ */
+function refreshPublicId() {
+  findAllPublicIds((publicIds) => {
+    const next = publicIds.length > 0 ? publicIds[0].public_id : null;
+    
+    if (!isRecording && !pendingStartRecording) {
+      if (next !== globalPublicId) {
+        console.log('[Background] publicId changed:', globalPublicId, '->', next);
+        globalPublicId = next;
+        persistRecordingState();
+      }
+      return;
+    }
+    
+    if (next === globalPublicId) {
+      // e.g. logged out and back in with the same account
+      pendingIdentityChange = null;
+    } else {
+      console.log('[Background] publicId changed during recording:', globalPublicId, '->', next);
+      pendingIdentityChange = { previousPublicId: globalPublicId, publicId: next, detectedAt: Date.now() };
+    }
+    recordingStateChanged();
+    chrome.runtime.sendMessage({ action: 'identityChanged', identityChange: pendingIdentityChange }).catch(() => {
+      // No popup open to receive it
+    });
+  });
+}
+
+/**
+ * The user's answer to an identity change during a recording: restart with the
+ * new identity (same tab), or keep streaming as before
+ */
+function handleResolveIdentityChange(message, sendResponse) {
+  if (!pendingIdentityChange) {
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  pendingIdentityChange = null;
+  recordingStateChanged();
+  
+  if (!message.restart || !isRecording) {
+    sendResponse({ success: true });
+    return false;
   }
+  
+  const tabId = captureTabId;
+  handleStopRecording((response) => {
+    if (response && response.error) {
+      sendResponse(response);
+      return;
+    }
+    // findAllPublicIds in the start path picks up the new identity
+    handleStartRecording({ targetTabId: tabId }, sendResponse);
+  }, 'identity-changed');
+  return true; // Async response
+}
+
+// WebSocket auth: a short-lived token from settings.authTokenUrl, requested with the
+// Paratalk cookies and cached per publicId until shortly before it expires
+const AUTH_TOKEN_REFRESH_MARGIN = 30000;
+let authToken = null; // { token, expiresAt, publicId }
+
+/**
+ * Fetch a stream token: POST { publicId } -> { token, expiresIn (s) | expiresAt }
+ */
+async function fetchAuthToken() {
+  const response = await fetch(currentSettings.authTokenUrl, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ publicId: globalPublicId })
+  });
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('Not signed in to Paratalk');
+  }
+  if (!response.ok) {
+    throw new Error(`Token request failed: HTTP ${response.status}`);
+  }
+  
+  const body = await response.json();
+  if (!body || typeof body.token !== 'string' || !body.token) {
+    throw new Error('Token response has no token');
+  }
+  const expiresAt = typeof body.expiresIn === 'number'
+    ? Date.now() + body.expiresIn * 1000
+    : Date.parse(body.expiresAt);
+  
+  return {
+    token: body.token,
+    // Without a usable expiry the token is used for a single connection
+    expiresAt: Number.isFinite(expiresAt) ? expiresAt : Date.now(),
+    publicId: globalPublicId
+  };
+}
+
+/**
+ * Token for the next WebSocket connection (offscreen asks on every connect and reconnect)
+ */
+function handleGetAuthToken(message, sendResponse) {
+  const cached = authToken &&
+    !message.forceRefresh &&
+    authToken.publicId === globalPublicId &&
+    authToken.expiresAt - Date.now() > AUTH_TOKEN_REFRESH_MARGIN;
+  
+  if (cached) {
+    sendResponse({ token: authToken.token, expiresAt: authToken.expiresAt });
+    return false;
+  }
+  
+  authToken = null;
+  fetchAuthToken()
+    .then((fetched) => {
+      authToken = fetched;
+      sendResponse({ token: fetched.token, expiresAt: fetched.expiresAt });
+    })
+    .catch((error) => {
+      logError(error, 'handleGetAuthToken', 'warning');
+      sendResponse({ error: error.message });
+    });
+  return true; // Async response
 }
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Diagnostics page: merged background/offscreen error logs and status, exportable for bug reports
+document.addEventListener('DOMContentLoaded', () => {
+  const refreshButton = document.getElementById('refresh');
+  const exportButton = document.getElementById('export');
+  const loadStatus = document.getElementById('load-status');
+  const backgroundStatus = document.getElementById('background-status');
+  const offscreenStatus = document.getElementById('offscreen-status');
+  const logBody = document.getElementById('log-body');
+  const logCount = document.getElementById('log-count');
+  const filters = {
+    severity: document.getElementById('filter-severity'),
+    source: document.getElementById('filter-source'),
+    context: document.getElementById('filter-context')
+  };
+
+  let diagnostics = null;
+
+  function setLoadStatus(state, text) {
+    loadStatus.className = state;
+    loadStatus.textContent = text;
+  }
+
+  /**
+   * Entries matching the current filters, newest first
+   */
+  function filteredEntries() {
+    const severity = filters.severity.value;
+    const source = filters.source.value;
+    const context = filters.context.value.trim().toLowerCase();
+
+    return (diagnostics ? diagnostics.errorLog : [])
+      .filter(entry => !severity || entry.severity === severity)
+      .filter(entry => !source || entry.source === source)
+      .filter(entry => !context || String(entry.context).toLowerCase().includes(context))
+      .slice()
+      .reverse();
+  }
+
+  function renderLog() {
+    const entries = filteredEntries();
+    const total = diagnostics ? diagnostics.errorLog.length : 0;
+    logBody.innerHTML = '';
+    logCount.textContent = `${entries.length} / ${total} entries`;
+
+    entries.forEach((entry) => {
+      const row = document.createElement('tr');
+
+      const time = document.createElement('td');
+      time.className = 'time';
+      time.textContent = new Date(entry.timestamp).toLocaleString();
+      time.title = entry.timestamp;
+
+      const source = document.createElement('td');
+      source.textContent = entry.source;
+
+      const severity = document.createElement('td');
+      severity.className = `severity severity-${entry.severity}`;
+      severity.textContent = entry.severity;
+
+      const context = document.createElement('td');
+      context.textContent = entry.context;
+
+      // Error message with the stack trace folded underneath
+      const error = document.createElement('td');
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = entry.error;
+      const stack = document.createElement('pre');
+      stack.textContent = entry.stack;
+      details.append(summary, stack);
+      error.appendChild(details);
+
+      row.append(time, source, severity, context, error);
+      logBody.appendChild(row);
+    });
+  }
+
+  function render() {
+    backgroundStatus.textContent = JSON.stringify({
+      ...diagnostics.health,
+      ...diagnostics.state
+    }, null, 2);
+    offscreenStatus.textContent = diagnostics.offscreenStatus
+      ? JSON.stringify(diagnostics.offscreenStatus, null, 2)
+      : 'Not running';
+    renderLog();
+  }
+
+  function load() {
+    setLoadStatus('', 'Loading...');
+    chrome.runtime.sendMessage({ action: 'getDiagnostics' }, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        console.error('[diagnostics.js] Failed to load diagnostics:', chrome.runtime.lastError || (response && response.error));
+        setLoadStatus('error', 'Could not reach the background service worker');
+        return;
+      }
+      diagnostics = response;
+      render();
+      setLoadStatus('', `Updated ${new Date(response.generatedAt).toLocaleTimeString()}`);
+    });
+  }
+
+  /**
+   * Download the full (unfiltered) bundle plus settings and browser info as JSON
+   */
+  async function exportBundle() {
+    if (!diagnostics) return;
+
+    const bundle = {
+      ...diagnostics,
+      exportedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      settings: await ParatalkSettings.load()
+    };
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const stamp = bundle.exportedAt.replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `paratalk-diagnostics-${stamp}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  refreshButton.addEventListener('click', load);
+  exportButton.addEventListener('click', () => {
+    exportBundle().catch((e) => {
+      console.error('[diagnostics.js] Export failed:', e);
+      setLoadStatus('error', 'Export failed');
+    });
+  });
+  filters.severity.addEventListener('change', renderLog);
+  filters.source.addEventListener('change', renderLog);
+  filters.context.addEventListener('input', renderLog);
+
+  load();
+});
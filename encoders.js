@@ -0,0 +1,488 @@
+// Pluggable audio encoders used by offscreen.js.
+// Every encoder takes one Float32Array per channel via encode() and hands each
+// encoded frame (a standalone Uint8Array/Int8Array) to options.onFrame.
+// An encoder may also implement streamHeader(), returning bytes that must open
+// every WebSocket connection (e.g. a WAV header or the Ogg Opus header pages),
+// and fileHeader(dataLength) for the start of a saved local copy. Header bytes
+// that are also emitted in-line are passed as onFrame(frame, { header: true }).
+const ParatalkEncoders = (() => {
+  const OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+  const OPUS_FRAMES_PER_PAGE = 5; // 5 x 20ms packets per Ogg page
+  const OPUS_DEFAULT_PRE_SKIP = 312; // libopus lookahead at 48kHz
+
+  function floatTo16BitPCM(input) {
+    const output = new Int16Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+      const s = Math.max(-1, Math.min(1, input[i]));
+      output[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    }
+    return output;
+  }
+
+  /**
+   * MP3 via lamejs (synchronous, always available)
+   */
+  class Mp3Encoder {
+    constructor({ sampleRate, channels, settings, onFrame }) {
+      this.channels = channels;
+      this.onFrame = onFrame;
+      this.encoder = new lamejs.Mp3Encoder(channels, sampleRate, settings.mp3Bitrate);
+    }
+
+    encode(channels) {
+      const left = floatTo16BitPCM(channels[0]);
+      const mp3buf = this.channels > 1
+        ? this.encoder.encodeBuffer(left, floatTo16BitPCM(channels[1]))
+        : this.encoder.encodeBuffer(left);
+      if (mp3buf.length > 0) {
+        this.onFrame(mp3buf);
+      }
+    }
+
+    async flush() {
+      const mp3buf = this.encoder.flush();
+      if (mp3buf.length > 0) {
+        this.onFrame(mp3buf);
+      }
+    }
+
+    close() {
+      this.encoder = null;
+    }
+  }
+
+  // Ogg page CRC: polynomial 0x04C11DB7, no reflection, zero init
+  const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let j = 0; j < 8; j++) {
+        r = (r & 0x80000000) ? ((r << 1) ^ 0x04C11DB7) : (r << 1);
+      }
+      table[i] = r >>> 0;
+    }
+    return table;
+  })();
+
+  function oggCrc32(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+  }
+
+  /**
+   * Build one Ogg page holding complete packets
+   */
+  function buildOggPage({ headerType, granule, serial, sequence, packets }) {
+    const segments = [];
+    packets.forEach((packet) => {
+      let remaining = packet.length;
+      while (remaining >= 255) {
+        segments.push(255);
+        remaining -= 255;
+      }
+      segments.push(remaining);
+    });
+
+    const headerSize = 27 + segments.length;
+    const bodySize = packets.reduce((sum, packet) => sum + packet.length, 0);
+    const page = new Uint8Array(headerSize + bodySize);
+    const view = new DataView(page.buffer);
+
+    page.set([0x4f, 0x67, 0x67, 0x53], 0); // "OggS"
+    page[4] = 0; // version
+    page[5] = headerType;
+    view.setBigInt64(6, BigInt(granule), true);
+    view.setUint32(14, serial, true);
+    view.setUint32(18, sequence, true);
+    page[26] = segments.length;
+    page.set(segments, 27);
+
+    let offset = headerSize;
+    packets.forEach((packet) => {
+      page.set(packet, offset);
+      offset += packet.length;
+    });
+
+    view.setUint32(22, oggCrc32(page), true);
+    return page;
+  }
+
+  function buildOpusHead(channels, preSkip, inputSampleRate) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'), 0);
+    head[8] = 1; // version
+    head[9] = channels;
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, inputSampleRate, true);
+    view.setInt16(16, 0, true); // output gain
+    head[18] = 0; // channel mapping family
+    return head;
+  }
+
+  function buildOpusTags() {
+    const vendor = new TextEncoder().encode('Paratalk');
+    const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+    const view = new DataView(tags.buffer);
+    tags.set(new TextEncoder().encode('OpusTags'), 0);
+    view.setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    view.setUint32(12 + vendor.length, 0, true); // no user comments
+    return tags;
+  }
+
+  /**
+   * Opus via WebCodecs AudioEncoder, framed as an Ogg stream
+   */
+  class OggOpusEncoder {
+    constructor({ sampleRate, channels, settings, onFrame, onError }) {
+      this.sampleRate = sampleRate;
+      this.channels = channels;
+      this.onFrame = onFrame;
+      this.serial = (Math.random() * 0xffffffff) >>> 0;
+      this.sequence = 0;
+      this.granule = 0;
+      this.timestamp = 0;
+      this.headerWritten = false;
+      this.headerPages = null; // OpusHead + OpusTags pages, re-sent on every new connection
+      this.pagePackets = [];
+
+      this.encoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+          try {
+            this.handleChunk(chunk, metadata);
+          } catch (e) {
+            onError(e);
+          }
+        },
+        error: (e) => onError(e)
+      });
+      this.encoder.configure(OggOpusEncoder.config(sampleRate, channels, settings));
+    }
+
+    static config(sampleRate, channels, settings) {
+      return {
+        codec: 'opus',
+        sampleRate,
+        numberOfChannels: channels,
+        bitrate: settings.opusBitrate * 1000
+      };
+    }
+
+    encode(channels) {
+      const numberOfFrames = channels[0].length;
+      const data = new Float32Array(numberOfFrames * this.channels);
+      for (let c = 0; c < this.channels; c++) {
+        data.set(channels[c] || new Float32Array(numberOfFrames), c * numberOfFrames);
+      }
+
+      const audioData = new AudioData({
+        format: 'f32-planar',
+        sampleRate: this.sampleRate,
+        numberOfFrames,
+        numberOfChannels: this.channels,
+        timestamp: Math.round(this.timestamp),
+        data
+      });
+      this.timestamp += numberOfFrames * 1e6 / this.sampleRate;
+
+      this.encoder.encode(audioData);
+      audioData.close();
+    }
+
+    handleChunk(chunk, metadata) {
+      if (!this.headerWritten) {
+        this.writeHeaders(metadata && metadata.decoderConfig);
+      }
+
+      const packet = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(packet);
+      this.pagePackets.push(packet);
+      // Granule positions are always counted at 48kHz for Opus
+      this.granule += Math.round((chunk.duration || 20000) * 48000 / 1e6);
+
+      if (this.pagePackets.length >= OPUS_FRAMES_PER_PAGE) {
+        this.writePage(0);
+      }
+    }
+
+    writeHeaders(decoderConfig) {
+      let preSkip = OPUS_DEFAULT_PRE_SKIP;
+      // Prefer the encoder's own OpusHead when it provides one
+      if (decoderConfig && decoderConfig.description) {
+        const description = new Uint8Array(
+          decoderConfig.description.buffer || decoderConfig.description,
+          decoderConfig.description.byteOffset || 0,
+          decoderConfig.description.byteLength
+        );
+        if (description.length >= 12 && new TextDecoder().decode(description.subarray(0, 8)) === 'OpusHead') {
+          preSkip = new DataView(description.buffer, description.byteOffset).getUint16(10, true);
+        }
+      }
+
+      this.headerPages = [
+        this.buildPage(0x02, 0, [buildOpusHead(this.channels, preSkip, this.sampleRate)]),
+        this.buildPage(0x00, 0, [buildOpusTags()])
+      ];
+      this.headerPages.forEach(page => this.onFrame(page, { header: true }));
+      this.headerWritten = true;
+    }
+
+    /**
+     * The cached header pages, so a connection opened later (e.g. a reconnect)
+     * starts with a decodable stream; null until the first packet is encoded
+     */
+    streamHeader() {
+      if (!this.headerPages) {
+        return null;
+      }
+      const header = new Uint8Array(this.headerPages.reduce((sum, page) => sum + page.length, 0));
+      let offset = 0;
+      this.headerPages.forEach((page) => {
+        header.set(page, offset);
+        offset += page.length;
+      });
+      return header;
+    }
+
+    writePage(headerType) {
+      this.emitPage(headerType, this.granule, this.pagePackets);
+      this.pagePackets = [];
+    }
+
+    emitPage(headerType, granule, packets) {
+      this.onFrame(this.buildPage(headerType, granule, packets));
+    }
+
+    buildPage(headerType, granule, packets) {
+      return buildOggPage({
+        headerType,
+        granule,
+        serial: this.serial,
+        sequence: this.sequence++,
+        packets
+      });
+    }
+
+    async flush() {
+      if (this.encoder.state === 'configured') {
+        await this.encoder.flush();
+      }
+      if (this.headerWritten) {
+        this.writePage(0x04); // end of stream
+      }
+    }
+
+    close() {
+      if (this.encoder.state !== 'closed') {
+        this.encoder.close();
+      }
+    }
+  }
+
+  /**
+   * Streaming box-filter decimator: averages the input samples that fall into
+   * each output period, which also serves as a simple anti-aliasing filter
+   */
+  class Downsampler {
+    constructor(inputRate, outputRate) {
+      this.ratio = inputRate / outputRate;
+      this.position = 0;
+      this.sum = 0;
+      this.count = 0;
+    }
+
+    process(input) {
+      if (this.ratio <= 1) {
+        return input;
+      }
+
+      const output = new Float32Array(Math.ceil((input.length + this.position) / this.ratio));
+      let written = 0;
+      for (let i = 0; i < input.length; i++) {
+        this.sum += input[i];
+        this.count++;
+        this.position += 1;
+        if (this.position >= this.ratio) {
+          output[written++] = this.sum / this.count;
+          this.position -= this.ratio;
+          this.sum = 0;
+          this.count = 0;
+        }
+      }
+      return output.subarray(0, written);
+    }
+  }
+
+  /**
+   * 44-byte WAV header; without dataLength (live stream) the lengths are set to the maximum
+   */
+  function buildWavHeader(sampleRate, channels, dataLength) {
+    const header = new Uint8Array(44);
+    const view = new DataView(header.buffer);
+    const text = (offset, value) => header.set(new TextEncoder().encode(value), offset);
+    const blockAlign = channels * 2;
+    const known = typeof dataLength === 'number' && dataLength + 36 <= 0xFFFFFFFF;
+
+    text(0, 'RIFF');
+    view.setUint32(4, known ? dataLength + 36 : 0xFFFFFFFF, true);
+    text(8, 'WAVE');
+    text(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true);
+    text(36, 'data');
+    view.setUint32(40, known ? dataLength : 0xFFFFFFFF, true);
+    return header;
+  }
+
+  /**
+   * Raw 16-bit little-endian PCM, interleaved, optionally downsampled
+   */
+  class PcmEncoder {
+    constructor({ sampleRate, channels, settings, onFrame }) {
+      this.channels = channels;
+      this.onFrame = onFrame;
+      this.sampleRate = pcmOutputRate(sampleRate, settings);
+      this.wavHeader = settings.pcmWavHeader ? buildWavHeader(this.sampleRate, channels) : null;
+      this.downsamplers = [];
+      for (let c = 0; c < channels; c++) {
+        this.downsamplers.push(new Downsampler(sampleRate, this.sampleRate));
+      }
+    }
+
+    /**
+     * Sent at the start of every connection so each one is a playable WAV stream
+     */
+    streamHeader() {
+      return this.wavHeader;
+    }
+
+    encode(channels) {
+      const resampled = this.downsamplers.map((downsampler, c) => downsampler.process(channels[c]));
+      const frameCount = resampled[0].length;
+      if (frameCount === 0) {
+        return;
+      }
+
+      let samples;
+      if (this.channels === 1) {
+        samples = floatTo16BitPCM(resampled[0]);
+      } else {
+        const interleaved = new Float32Array(frameCount * this.channels);
+        for (let i = 0; i < frameCount; i++) {
+          for (let c = 0; c < this.channels; c++) {
+            interleaved[i * this.channels + c] = resampled[c][i] || 0;
+          }
+        }
+        samples = floatTo16BitPCM(interleaved);
+      }
+
+      // Int16Array uses platform byte order, which is little-endian on every Chrome platform
+      this.onFrame(new Uint8Array(samples.buffer));
+    }
+
+    /**
+     * Header for a saved file holding dataLength bytes of this stream
+     */
+    fileHeader(dataLength) {
+      return buildWavHeader(this.sampleRate, this.channels, dataLength);
+    }
+
+    async flush() {}
+
+    close() {
+      this.downsamplers = [];
+    }
+  }
+
+  function pcmOutputRate(sampleRate, settings) {
+    return Math.min(sampleRate, settings.pcmSampleRate);
+  }
+
+  const CODECS = {
+    mp3: {
+      mimeType: 'audio/mpeg',
+      fileExtension: 'mp3',
+      create: options => new Mp3Encoder(options),
+      isSupported: async () => typeof lamejs !== 'undefined'
+    },
+    opus: {
+      mimeType: 'audio/ogg; codecs=opus',
+      fileExtension: 'ogg',
+      create: options => new OggOpusEncoder(options),
+      isSupported: async ({ sampleRate, channels, settings }) => {
+        if (typeof AudioEncoder === 'undefined' || !OPUS_SAMPLE_RATES.includes(sampleRate)) {
+          return false;
+        }
+        const { supported } = await AudioEncoder.isConfigSupported(OggOpusEncoder.config(sampleRate, channels, settings));
+        return supported;
+      }
+    },
+    pcm: {
+      mimeType: 'audio/L16',
+      // Saved copies get a WAV header via fileHeader()
+      fileExtension: 'wav',
+      create: options => new PcmEncoder(options),
+      isSupported: async () => true,
+      outputSampleRate: pcmOutputRate
+    }
+  };
+
+  const FALLBACK_CODEC = 'mp3';
+
+  /**
+   * Pick the codec to use for a session: the requested one if this browser
+   * can encode it with the given options, otherwise MP3
+   */
+  async function resolve(codec, options) {
+    const entry = CODECS[codec];
+    if (entry) {
+      try {
+        if (await entry.isSupported(options)) {
+          return codec;
+        }
+      } catch (e) {
+        console.warn(`[Encoders] Support check for ${codec} failed:`, e);
+      }
+    }
+    console.warn(`[Encoders] Codec ${codec} not available, falling back to ${FALLBACK_CODEC}`);
+    return FALLBACK_CODEC;
+  }
+
+  /**
+   * Create an encoder for a codec previously returned by resolve()
+   */
+  function create(codec, options) {
+    const entry = CODECS[codec];
+    if (!entry) {
+      throw new Error(`Unknown codec: ${codec}`);
+    }
+    return entry.create(options);
+  }
+
+  function mimeType(codec) {
+    return CODECS[codec] ? CODECS[codec].mimeType : null;
+  }
+
+  function fileExtension(codec) {
+    return CODECS[codec] ? CODECS[codec].fileExtension : 'bin';
+  }
+
+  /**
+   * Sample rate of the encoded stream for a given capture rate
+   */
+  function outputSampleRate(codec, sampleRate, settings) {
+    const entry = CODECS[codec];
+    return entry && entry.outputSampleRate ? entry.outputSampleRate(sampleRate, settings) : sampleRate;
+  }
+
+  return { resolve, create, mimeType, fileExtension, outputSampleRate, floatTo16BitPCM };
+})();
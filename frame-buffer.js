@@ -0,0 +1,78 @@
+// Bounded FIFO of encoded audio frames, held while the WebSocket is not OPEN
+// and replayed in order once it reconnects.
+class FrameBuffer {
+  /**
+   * @param {number} maxBytes - Total payload limit; 0 disables buffering
+   * @param {'drop-oldest'|'drop-newest'} policy - What to discard when the limit is hit
+   */
+  constructor(maxBytes, policy = 'drop-oldest') {
+    this.maxBytes = maxBytes;
+    this.policy = policy;
+    this.frames = [];
+    this.bytes = 0;
+    this.droppedFrames = 0;
+    this.droppedBytes = 0;
+  }
+
+  get length() {
+    return this.frames.length;
+  }
+
+  /**
+   * Queue a frame, applying the overflow policy; returns false if the frame was not kept
+   */
+  push(frame) {
+    const size = frame.byteLength;
+
+    if (size > this.maxBytes) {
+      this.recordDrop(size);
+      return false;
+    }
+
+    if (this.bytes + size > this.maxBytes) {
+      if (this.policy === 'drop-newest') {
+        this.recordDrop(size);
+        return false;
+      }
+      while (this.frames.length > 0 && this.bytes + size > this.maxBytes) {
+        const oldest = this.frames.shift();
+        this.bytes -= oldest.byteLength;
+        this.recordDrop(oldest.byteLength);
+      }
+    }
+
+    this.frames.push(frame);
+    this.bytes += size;
+    return true;
+  }
+
+  /**
+   * Remove and return the oldest frame
+   */
+  shift() {
+    const frame = this.frames.shift();
+    if (frame) {
+      this.bytes -= frame.byteLength;
+    }
+    return frame;
+  }
+
+  clear() {
+    this.frames = [];
+    this.bytes = 0;
+  }
+
+  recordDrop(size) {
+    this.droppedFrames++;
+    this.droppedBytes += size;
+  }
+
+  stats() {
+    return {
+      bufferedFrames: this.frames.length,
+      bufferedBytes: this.bytes,
+      droppedFrames: this.droppedFrames,
+      droppedBytes: this.droppedBytes
+    };
+  }
+}
@@ -1,27 +1,54 @@
 (() => {
   // Core audio components
   let audioContext, tabSourceNode, micSourceNode, processor, workletNode;
-  let ws, tabStream, micStream, mp3Encoder;
+  let tabGainNode, micGainNode;
+  let tabStream, micStream;
+  // Streaming destinations (see createSink): the main Paratalk connection plus settings.extraSinks
+  let sinks = [];
+  let encoders = new Map(); // codec -> encoder; each codec is encoded once for all its sinks
+  let activeCodec = null; // Main sink's codec (local copy, status)
+  let localChunks = null; // Encoded frames kept for the local copy (saveLocalCopy setting)
+  let localBytes = 0;
+  let localPart = 1; // Long recordings are saved in parts of LOCAL_COPY_PART_BYTES
+  let localCopySaves = Promise.resolve(); // Parts being written while recording continues
   let keepAliveOsc, keepAliveGain, dummyAudio;
   let receivedPublicId = null;
+  let tabStreamId = null;
+  let targetTabId = null;
+  let micDeviceId = ''; // Preferred microphone ('' = system default)
+  let micSwapInProgress = false;
+  let sessionId = null;
+  let encodedSamples = 0; // Per-channel samples fed to the encoder (position in the sent stream)
+  let speechStartOffsetMs = null; // Set while the worklet's VAD reports speech
+  let recordingId = null; // First sessionId; stays the same across new-socket segments
+  let segmentIndex = 0;
+  let segmentStartedAt = null;
+  let segmentTimer = null;
+  let segmentRotation = null; // Promise while the encoder is being swapped
+  let rotationBacklog = null; // Audio captured during a swap, fed to the new encoder afterwards
+  let maxDurationTimer = null;
+  let settings = { ...ParatalkSettings.DEFAULTS };
+  let mixLevels = { tabGain: 1, tabMuted: false, micGain: 1, micMuted: false };
   
   // State management
   let isInitialized = false;
   let isRecording = false;
+  let isPaused = false;
+  let pausedAt = null;
+  let pausedTotalMs = 0;
   let recordingStartTime = null;
-  let connectionAttempts = 0;
   let lastHeartbeat = Date.now();
   
-  // Configuration
+  // Configuration (server URL, encoder and reconnect settings come from ParatalkSettings)
   const CONFIG = {
-    WS_BASE_URL: 'wss://app.paratalk.jp/ws',
-    MAX_CONNECTION_ATTEMPTS: 5,
     HEARTBEAT_INTERVAL: 30000, // 30 seconds
     BUFFER_SIZE: 4096,
-    SAMPLE_RATE: 48000,
-    MP3_BITRATE: 128,
-    RECONNECT_DELAY: 2000,
-    MAX_RECORDING_TIME: 3600000 // 1 hour
+    RECONNECT_BASE_DELAY: 1000,
+    CONNECTION_STABLE_MS: 15000, // a connection counts as recovered only once it stays up this long
+    MAX_AUTH_REJECTIONS: 3, // consecutive 4401 closes before a sink gives up
+    LOCAL_COPY_SAVE_TIMEOUT: 30000, // final part at stop; the background's stop timeout is extended to cover it
+    LOCAL_COPY_PART_SAVE_TIMEOUT: 300000, // 100 MB parts written while recording continues
+    LOCAL_COPY_PART_BYTES: 100 * 1024 * 1024 // e.g. about 50 minutes of 16 kHz mono PCM
   };
   
   // Error tracking and logging
@@ -62,10 +89,11 @@
     if (isRecording) {
       if (!audioContext) issues.push('Missing AudioContext');
       if (!tabStream) issues.push('Missing tab stream');
-      if (!ws || ws.readyState !== WebSocket.OPEN) issues.push('WebSocket not connected');
-      if (!mp3Encoder) issues.push('Missing MP3 encoder');
+      getDisconnectedSinks().forEach(sink => issues.push(`WebSocket not connected: ${sink.name}`));
+      if (encoders.size === 0) issues.push('Missing encoder');
       
-      if (recordingStartTime && (Date.now() - recordingStartTime) > CONFIG.MAX_RECORDING_TIME) {
+      if (recordingStartTime && settings.maxRecordingMin > 0 &&
+          (Date.now() - recordingStartTime) > settings.maxRecordingMin * 60000) {
         issues.push('Recording time exceeded maximum duration');
       }
     }
@@ -83,9 +111,12 @@
       logError(new Error(`Health check failed: ${issues.join(', ')}`), 'performHealthCheck', 'warning');
       
       // Attempt recovery for critical issues
-      if (issues.includes('WebSocket not connected') && isRecording) {
-        logError(new Error('WebSocket disconnected during recording'), 'performHealthCheck', 'critical');
-        attemptReconnect();
+      if (isRecording) {
+        getDisconnectedSinks().forEach((sink) => {
+          // Not critical: the sink's retry policy decides when to give up
+          logError(new Error(`WebSocket ${sink.name} disconnected during recording`), 'performHealthCheck', 'warning');
+          attemptReconnect(sink);
+        });
       }
     }
     
@@ -93,88 +124,289 @@
   }
   
   /**
-   * Attempt WebSocket reconnection
+   * Attempt a sink's WebSocket reconnection with exponential backoff until the give-up deadline
    */
-  function attemptReconnect() {
-    if (connectionAttempts >= CONFIG.MAX_CONNECTION_ATTEMPTS) {
-      logError(new Error('Max reconnection attempts exceeded'), 'attemptReconnect', 'critical');
-      stopRecording();
+  function attemptReconnect(sink) {
+    if (!isRecording || sink.failed) {
       return;
     }
     
-    connectionAttempts++;
-    console.log(`[Offscreen] Attempting reconnection ${connectionAttempts}/${CONFIG.MAX_CONNECTION_ATTEMPTS}`);
+    const delay = sink.reconnectPolicy.schedule((attempt) => {
+      if (!isRecording) return;
+      sink.connectionAttempts = attempt;
+      console.log(`[Offscreen] Attempting reconnection ${attempt} (${sink.name})`);
+      // The background reuses its cached token until it is about to expire;
+      // after a rejection a new one is requested regardless
+      initializeWebSocket(sink, { refreshToken: sink.authRejected }).catch((error) => {
+        logError(error, `attemptReconnect - ${sink.name}`, 'warning');
+        // A failed token request opens no socket, so there is no onclose to
+        // schedule the next attempt (schedule() ignores a duplicate)
+        attemptReconnect(sink);
+      });
+    });
     
-    setTimeout(() => {
-      try {
-        initializeWebSocket();
-      } catch (error) {
-        logError(error, 'attemptReconnect');
-      }
-    }, CONFIG.RECONNECT_DELAY);
+    if (delay === null) {
+      failSink(sink, `Reconnection gave up after ${sink.reconnectPolicy.attempt} attempts`);
+    } else if (delay > 0) {
+      console.log(`[Offscreen] Reconnecting ${sink.name} in ${delay}ms (attempt ${sink.reconnectPolicy.attempt})`);
+    }
   }
   
-  // AudioWorkletは物理ファイルとして提供（audio-worklet.js）
-
-  function floatTo16BitPCM(input) {
-    const output = new Int16Array(input.length);
-    for (let i = 0; i < input.length; i++) {
-      const s = Math.max(-1, Math.min(1, input[i]));
-      output[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+  /**
+   * Stop streaming to a sink that gave up; the recording only stops once no sink is left
+   */
+  function failSink(sink, reason) {
+    sink.failed = true;
+    const remaining = sinks.filter(other => !other.failed);
+    
+    if (remaining.length === 0) {
+      // Not 'critical': that makes the background force-close this document,
+      // which would lose the local copy that is saved on stop
+      logError(new Error(`${reason} (${sink.name})`), 'attemptReconnect');
+      requestReconnectFailedStop();
+      return;
+    }
+    
+    logError(new Error(`${reason} (${sink.name}), still streaming to ${remaining.map(other => other.name).join(', ')}`), 'attemptReconnect');
+    if (sink.frameBuffer && sink.frameBuffer.length > 0) {
+      logError(new Error(`Discarding ${sink.frameBuffer.length} buffered frames for ${sink.name}`), 'failSink', 'warning');
+    }
+    sink.frameBuffer = null;
+  }
+  
+  /**
+   * Like the time limit, stop through the background's normal stop path, which
+   * waits for recordingStopped (and so for the local copy) before closing this document
+   */
+  function requestReconnectFailedStop() {
+    chrome.runtime.sendMessage({ action: 'reconnectFailed' }).catch((e) => {
+      logError(e, 'requestReconnectFailedStop', 'warning');
+      stopRecording('reconnect_failed');
+    });
+  }
+  
+  /**
+   * Relay a sink's connection state to the background so the popup can show it
+   */
+  function reportConnectionStatus(sink, status) {
+    try {
+      chrome.runtime.sendMessage({ action: 'connectionStatus', sink: sink.name, status });
+    } catch (e) {
+      logError(e, 'reportConnectionStatus');
+    }
+  }
+  
+  /**
+   * A streaming destination with its own URL, codec, socket, replay buffer,
+   * reconnect state and counters. Only the main Paratalk sink sends an auth token.
+   */
+  function createSink({ name, url, codec, auth }) {
+    const sink = {
+      name,
+      url,
+      codec,
+      auth,
+      primary: name === ParatalkSettings.PRIMARY_SINK,
+      ws: null,
+      connecting: null, // Promise of the connect in progress (token fetch + CONNECTING socket)
+      connections: 0, // Connections under the current sessionId
+      connectionAttempts: 0,
+      authRejected: false, // The server refused the last token; fetch a fresh one on reconnect
+      authRejections: 0, // Consecutive 4401 closes, cleared once a connection holds
+      stableTimer: null, // Resets the reconnect backoff once the connection has stayed up
+      failed: false, // Gave up reconnecting; the other sinks carry on
+      stats: { bytesSent: 0, framesSent: 0, connections: 0 },
+      frameBuffer: settings.replayBufferKb > 0
+        ? new FrameBuffer(settings.replayBufferKb * 1024, settings.replayBufferPolicy)
+        : null,
+      reconnectPolicy: null
+    };
+    sink.reconnectPolicy = new RetryPolicy({
+      baseDelay: CONFIG.RECONNECT_BASE_DELAY,
+      maxDelay: settings.reconnectMaxDelaySec * 1000,
+      deadline: settings.reconnectGiveUpMin * 60000,
+      onStatus: status => reportConnectionStatus(sink, status)
+    });
+    return sink;
+  }
+  
+  /**
+   * The main Paratalk sink plus settings.extraSinks, each with its codec resolved
+   * (a codec the browser cannot encode falls back for that sink only)
+   */
+  async function createSinks() {
+    const configs = [
+      { name: ParatalkSettings.PRIMARY_SINK, url: settings.wsUrl, codec: settings.codec, auth: true },
+      ...settings.extraSinks.map(extra => ({ ...extra, codec: extra.codec || settings.codec, auth: false }))
+    ];
+    
+    const created = [];
+    for (const config of configs) {
+      const codec = await ParatalkEncoders.resolve(config.codec, {
+        sampleRate: settings.sampleRate,
+        channels: getChannelCount(),
+        settings
+      });
+      created.push(createSink({ ...config, codec }));
     }
-    return output;
+    return created;
+  }
+  
+  /**
+   * The main Paratalk connection (its state drives the popup and the badge)
+   */
+  function getPrimarySink() {
+    return sinks.find(sink => sink.primary) || null;
   }
+  
+  function isSinkOpen(sink) {
+    return Boolean(sink.ws) && sink.ws.readyState === WebSocket.OPEN;
+  }
+  
+  /**
+   * Sinks that should be connected but are not (failed sinks and connects in progress are left alone)
+   */
+  function getDisconnectedSinks() {
+    return sinks.filter(sink => !sink.failed && !sink.connecting && !isSinkOpen(sink));
+  }
+  
+  function describeSink(sink) {
+    return {
+      name: sink.name,
+      url: sink.url,
+      codec: sink.codec,
+      connected: isSinkOpen(sink),
+      connecting: Boolean(sink.connecting),
+      failed: sink.failed,
+      connectionAttempts: sink.connectionAttempts,
+      stats: sink.stats,
+      frameBuffer: sink.frameBuffer ? sink.frameBuffer.stats() : null
+    };
+  }
+  
+  // AudioWorkletは物理ファイルとして提供（audio-worklet.js）
+  // エンコーダは encoders.js（MP3 / Ogg Opus）
 
   /**
-   * Initialize WebSocket connection with error handling and reconnection
+   * Ask the background for a short-lived auth token ({ token, expiresAt })
+   */
+  function requestAuthToken(forceRefresh) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: 'getAuthToken', forceRefresh }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response || response.error) {
+          reject(new Error(`Auth token unavailable: ${response ? response.error : 'no response'}`));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Initialize a sink's WebSocket connection with error handling and reconnection.
+   * The identity is proven by the token in the first control message, not in the URL.
    */
-  function initializeWebSocket() {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      console.log('[Offscreen] WebSocket already connected');
+  function initializeWebSocket(sink, { refreshToken = false } = {}) {
+    if (isSinkOpen(sink)) {
+      console.log(`[Offscreen] WebSocket ${sink.name} already connected`);
       return Promise.resolve();
     }
+    if (sink.connecting) {
+      // A second socket would replace sink.ws and leave the first one open but unused
+      console.log(`[Offscreen] WebSocket ${sink.name} already connecting`);
+      return sink.connecting;
+    }
     
+    const auth = sink.auth ? requestAuthToken(refreshToken) : Promise.resolve(null);
+    sink.connecting = auth
+      .then((token) => {
+        if (!isRecording) {
+          // Stopped while the token was being fetched
+          return;
+        }
+        sink.authRejected = false;
+        return openWebSocket(sink, token);
+      })
+      .finally(() => {
+        sink.connecting = null;
+      });
+    return sink.connecting;
+  }
+  
+  /**
+   * Open the sink's socket and send auth, session.start and any buffered audio once it is up
+   */
+  function openWebSocket(sink, auth) {
     return new Promise((resolve, reject) => {
       try {
-        const wsUrl = receivedPublicId
-          ? `${CONFIG.WS_BASE_URL}?publicId=${encodeURIComponent(receivedPublicId)}`
-          : CONFIG.WS_BASE_URL;
-        
-        console.log('[Offscreen] Connecting to WebSocket:', wsUrl);
+        console.log(`[Offscreen] Connecting to WebSocket ${sink.name}:`, sink.url);
         
-        ws = new WebSocket(wsUrl);
+        const ws = new WebSocket(sink.url);
         ws.binaryType = 'arraybuffer';
+        sink.ws = ws;
         
         const connectionTimeout = setTimeout(() => {
           ws.close();
-          reject(new Error('WebSocket connection timeout'));
+          reject(new Error(`WebSocket ${sink.name} connection timeout`));
         }, 10000);
         
         ws.onopen = () => {
           clearTimeout(connectionTimeout);
-          console.log('[Offscreen] WebSocket connected successfully');
-          connectionAttempts = 0; // Reset on successful connection
+          console.log(`[Offscreen] WebSocket ${sink.name} connected successfully`);
+          // Servers may accept and then close straight away (rejected token, overload,
+          // deploy), so keep backing off towards the give-up deadline until it holds
+          sink.reconnectPolicy.cancel();
+          clearTimeout(sink.stableTimer);
+          sink.stableTimer = setTimeout(() => confirmConnection(sink, ws), CONFIG.CONNECTION_STABLE_MS);
+          reportConnectionStatus(sink, { state: 'connected' });
+          if (auth) {
+            sendControl(sink, ParatalkProtocol.TYPES.AUTH, { token: auth.token });
+          }
+          sendSessionStart(sink);
+          sendStreamHeader(sink);
+          drainFrameBuffer(sink);
           resolve();
         };
         
         ws.onerror = (e) => {
           clearTimeout(connectionTimeout);
-          logError(new Error('WebSocket connection error'), 'initializeWebSocket');
+          logError(new Error(`WebSocket ${sink.name} connection error`), 'initializeWebSocket');
           reject(e);
         };
         
         ws.onclose = (e) => {
-          console.log(`[Offscreen] WebSocket closed: ${e.code} - ${e.reason}`);
+          console.log(`[Offscreen] WebSocket ${sink.name} closed: ${e.code} - ${e.reason}`);
+          if (sink.ws !== ws) {
+            // Replaced (segment rotation) or cleaned up; the current socket handles reconnects
+            return;
+          }
+          clearTimeout(sink.stableTimer);
+          sink.stableTimer = null;
+          
+          if (sink.auth && e.code === ParatalkProtocol.CLOSE_CODES.AUTH_FAILED) {
+            sink.authRejected = true;
+            sink.authRejections++;
+            logError(new Error(`Auth token rejected: ${e.reason || 'no reason given'}`), 'WebSocket.onclose', 'warning');
+            // Fresh tokens that keep being refused won't start working; stop hitting
+            // the token endpoint and the server
+            if (isRecording && !sink.failed && sink.authRejections >= CONFIG.MAX_AUTH_REJECTIONS) {
+              sink.reconnectPolicy.cancel();
+              failSink(sink, `Auth token rejected ${sink.authRejections} times in a row`);
+              return;
+            }
+          }
           
           if (isRecording && e.code !== 1000) {
-            logError(new Error(`WebSocket unexpected close: ${e.code}`), 'WebSocket.onclose', 'warning');
-            attemptReconnect();
+            logError(new Error(`WebSocket ${sink.name} unexpected close: ${e.code}`), 'WebSocket.onclose', 'warning');
+            attemptReconnect(sink);
           }
         };
         
         ws.onmessage = (e) => {
-          console.log('[Offscreen] WebSocket message received:', e.data);
           lastHeartbeat = Date.now();
+          handleServerMessage(sink, e.data);
         };
         
       } catch (error) {
@@ -184,6 +416,45 @@
     });
   }
   
+  /**
+   * The sink's connection stayed up for CONNECTION_STABLE_MS: forget previous failures
+   */
+  function confirmConnection(sink, ws) {
+    sink.stableTimer = null;
+    if (sink.ws !== ws || ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    sink.connectionAttempts = 0;
+    sink.authRejections = 0;
+    sink.reconnectPolicy.reset();
+  }
+  
+  /**
+   * Parse an inbound frame and relay known messages from the main sink to the background
+   */
+  function handleServerMessage(sink, data) {
+    const message = ParatalkProtocol.parseInbound(data);
+    if (!message) {
+      console.log(`[Offscreen] Ignoring unrecognized WebSocket message from ${sink.name}:`, typeof data === 'string' ? data : '[binary data]');
+      return;
+    }
+    
+    if (message.type === ParatalkProtocol.INBOUND_TYPES.ERROR) {
+      logError(new Error(`Server error from ${sink.name}${message.code ? ` ${message.code}` : ''}: ${message.message}`), 'handleServerMessage', 'warning');
+    }
+    
+    // Transcripts and notices are shown in the popup for the Paratalk connection only
+    if (!sink.primary) {
+      return;
+    }
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'serverMessage', message });
+    } catch (e) {
+      logError(e, 'handleServerMessage - relay');
+    }
+  }
+  
   /**
    * Enhanced recording start with comprehensive error handling
    */
@@ -197,23 +468,40 @@
       console.log('[Offscreen] Starting recording with publicId:', receivedPublicId);
       recordingStartTime = Date.now();
       isRecording = true;
+      sessionId = crypto.randomUUID();
+      recordingId = sessionId;
+      segmentIndex = 0;
+      segmentStartedAt = recordingStartTime;
+      isPaused = false;
+      pausedAt = null;
+      pausedTotalMs = 0;
+      encodedSamples = 0;
+      speechStartOffsetMs = null;
+      localChunks = settings.saveLocalCopy ? [] : null;
+      localBytes = 0;
+      localPart = 1;
+      localCopySaves = Promise.resolve();
+      
+      // Pick the codecs before connecting so they can be announced to the servers
+      sinks = await createSinks();
+      activeCodec = getPrimarySink().codec;
+      console.log('[Offscreen] Sinks:', sinks.map(sink => `${sink.name} (${sink.codec})`).join(', '));
       
       // Try to get microphone access (optional)
       try {
         console.log('[Offscreen] Attempting microphone access...');
-        micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        console.log('[Offscreen] Microphone access granted');
+        micStream = await openMicStream();
+        watchMicTrack(micStream);
+        console.log('[Offscreen] Microphone access granted:', getMicLabel(), getMicTrack().getSettings());
       } catch (e) {
         console.warn('[Offscreen] Microphone access denied, using tab audio only:', e.message);
         // This is expected in most cases due to permissions policy
       }
       
-      // Initialize WebSocket connection (non-blocking)
-      try {
-        await initializeWebSocket();
-      } catch (error) {
-        logError(error, 'WebSocket initialization failed, continuing without it', 'warning');
-      }
+      // Connect every sink (non-blocking: a sink that fails here is retried by the health check)
+      await Promise.all(sinks.map(sink => initializeWebSocket(sink).catch((error) => {
+        logError(error, `WebSocket ${sink.name} initialization failed, continuing without it`, 'warning');
+      })));
       
       // Start tab capture
       await initializeTabCapture();
@@ -230,45 +518,67 @@
    * Initialize tab capture and audio processing
    */
   async function initializeTabCapture() {
-    return new Promise((resolve, reject) => {
-      // Continue even if WebSocket is not connected
-      if (ws && ws.readyState !== WebSocket.OPEN) {
-        console.log('[Offscreen] WebSocket not connected, recording without streaming');
+    // Continue even if no WebSocket is connected
+    if (!sinks.some(isSinkOpen)) {
+      console.log('[Offscreen] No WebSocket connected, recording without streaming');
+    }
+    
+    console.log('[Offscreen] Starting tab capture...', { targetTabId });
+    
+    try {
+      const stream = await acquireTabStream();
+      
+      console.log('[Offscreen] Tab capture successful');
+      tabStream = stream;
+      
+      // Validate stream
+      const tracks = stream.getTracks();
+      if (tracks.length === 0) {
+        throw new Error('No audio tracks in captured stream');
       }
       
-      console.log('[Offscreen] Starting tab capture...');
+      console.log('[Offscreen] Stream tracks:', tracks.map(t => ({
+        kind: t.kind,
+        enabled: t.enabled,
+        readyState: t.readyState,
+        id: t.id
+      })));
       
-      chrome.tabCapture.capture({ audio: true, video: false }, async (stream) => {
-        try {
-          if (chrome.runtime.lastError || !stream) {
-            throw new Error(chrome.runtime.lastError?.message || 'No stream returned');
-          }
-          
-          console.log('[Offscreen] Tab capture successful');
-          tabStream = stream;
-          
-          // Validate stream
-          const tracks = stream.getTracks();
-          if (tracks.length === 0) {
-            throw new Error('No audio tracks in captured stream');
+      // Initialize audio processing
+      await setupAudioProcessing();
+      
+      console.log('[Offscreen] Recording started successfully');
+      
+    } catch (error) {
+      logError(error, 'initializeTabCapture', 'critical');
+      throw error;
+    }
+  }
+  
+  /**
+   * Open the tab stream: from the stream id the background obtained for the
+   * chosen tab, or in the popup window fallback (Chrome without worker stream ids)
+   * the active tab via tabCapture.capture(), which extension windows still have
+   */
+  function acquireTabStream() {
+    if (tabStreamId) {
+      return navigator.mediaDevices.getUserMedia({
+        audio: {
+          mandatory: {
+            chromeMediaSource: 'tab',
+            chromeMediaSourceId: tabStreamId
           }
-          
-          console.log('[Offscreen] Stream tracks:', tracks.map(t => ({
-            kind: t.kind,
-            enabled: t.enabled,
-            readyState: t.readyState,
-            id: t.id
-          })));
-          
-          // Initialize audio processing
-          await setupAudioProcessing();
-          
-          console.log('[Offscreen] Recording started successfully');
-          resolve();
-          
-        } catch (error) {
-          logError(error, 'initializeTabCapture', 'critical');
-          reject(error);
+        },
+        video: false
+      });
+    }
+    
+    return new Promise((resolve, reject) => {
+      chrome.tabCapture.capture({ audio: true, video: false }, (stream) => {
+        if (chrome.runtime.lastError || !stream) {
+          reject(new Error(chrome.runtime.lastError?.message || 'No stream returned'));
+        } else {
+          resolve(stream);
         }
       });
     });
@@ -282,7 +592,7 @@
       console.log('[Offscreen] Setting up audio processing...');
       
       // Create AudioContext
-      audioContext = new AudioContext({ sampleRate: CONFIG.SAMPLE_RATE });
+      audioContext = new AudioContext({ sampleRate: settings.sampleRate });
       console.log('[Offscreen] AudioContext created:', {
         state: audioContext.state,
         sampleRate: audioContext.sampleRate
@@ -347,12 +657,25 @@
         setupScriptProcessor(mediaDestination);
       }
       
-      // Initialize MP3 encoder
-      mp3Encoder = new lamejs.Mp3Encoder(1, audioContext.sampleRate, CONFIG.MP3_BITRATE);
-      console.log('[Offscreen] MP3 encoder initialized');
+      // Initialize one encoder per codec in use (stereo in split mode)
+      createEncoders();
+      console.log(`[Offscreen] Encoders initialized (${[...encoders.keys()].join(', ')}), channels:`, getChannelCount());
+      
+      // The sockets usually open before the encoders exist
+      sinks.forEach(sink => sendStreamHeader(sink));
       
-      // Connect tab audio to speakers
-      tabSourceNode.connect(audioContext.destination);
+      scheduleSegmentRotation();
+      if (settings.maxRecordingMin > 0) {
+        maxDurationTimer = setTimeout(requestMaxDurationStop, settings.maxRecordingMin * 60000);
+      }
+      
+      // Connect tab audio to speakers: capture mutes the tab itself, so without this
+      // the user would not hear it (unless local playback is suppressed in the settings)
+      if (!settings.suppressLocalPlayback) {
+        tabSourceNode.connect(audioContext.destination);
+      } else {
+        console.log('[Offscreen] Local playback of tab audio suppressed');
+      }
       console.log('[Offscreen] Audio processing setup complete');
       
     } catch (error) {
@@ -384,6 +707,148 @@
     }
   }
   
+  function createEncoder(codec) {
+    return ParatalkEncoders.create(codec, {
+      sampleRate: audioContext.sampleRate,
+      channels: getChannelCount(),
+      settings,
+      onFrame: (frame, info) => handleEncodedFrame(codec, frame, info),
+      // Only the main sink's encoder failing is fatal
+      onError: error => logError(error, `encoder - ${codec}`, codec === activeCodec ? 'critical' : 'error')
+    });
+  }
+  
+  /**
+   * One encoder per distinct sink codec
+   */
+  function createEncoders() {
+    encoders = new Map();
+    sinks.forEach((sink) => {
+      if (!encoders.has(sink.codec)) {
+        encoders.set(sink.codec, createEncoder(sink.codec));
+      }
+    });
+  }
+  
+  function scheduleSegmentRotation() {
+    clearTimeout(segmentTimer);
+    segmentTimer = settings.segmentMinutes > 0
+      ? setTimeout(rotateSegment, settings.segmentMinutes * 60000)
+      : null;
+  }
+  
+  /**
+   * Close the current segment without a gap in capture: flush and replace the encoders
+   * (audio arriving meanwhile is held back), then mark the boundary in-band or move
+   * every sink to a new socket and session
+   */
+  async function rotateSegment() {
+    if (!isRecording || encoders.size === 0 || segmentRotation) {
+      return;
+    }
+    
+    segmentRotation = (async () => {
+      const previous = encoders;
+      const endedIndex = segmentIndex;
+      const endedStartedAt = segmentStartedAt;
+      rotationBacklog = [];
+      
+      // Each encoder's flushed tail still goes to its sinks
+      await Promise.all([...previous].map(async ([codec, encoder]) => {
+        try {
+          await encoder.flush();
+        } catch (e) {
+          logError(e, `rotateSegment - encoder flush (${codec})`);
+        }
+        encoder.close();
+      }));
+      
+      createEncoders();
+      
+      if (!isRecording) {
+        // Stopped during the flush: no new segment, socket or timer. The held-back
+        // audio still goes into the fresh encoders, which stopRecording flushes.
+        const backlog = rotationBacklog;
+        rotationBacklog = null;
+        backlog.forEach(channels => encodeAudioBuffer(channels));
+        return;
+      }
+      
+      segmentIndex++;
+      segmentStartedAt = Date.now();
+      console.log(`[Offscreen] Segment ${endedIndex} closed, starting segment ${segmentIndex}`);
+      
+      if (settings.segmentRotation === 'new-socket') {
+        const open = sinks.filter(isSinkOpen);
+        open.forEach(sink => drainFrameBuffer(sink));
+        endSpeech('segment');
+        open.forEach((sink) => {
+          sendSessionEnd(sink, 'segment', endedStartedAt);
+          sink.ws.close(1000, 'Segment rotation');
+        });
+        // Speech continuing into the new session gets its own speech.start
+        if (workletNode) {
+          workletNode.port.postMessage({ type: 'vad-reset' });
+        }
+        sessionId = crypto.randomUUID();
+        sinks.forEach((sink) => {
+          sink.connections = 0;
+          // While a reconnect is already pending, it will open the new session
+          if (!sink.failed && !sink.reconnectPolicy.pending) {
+            initializeWebSocket(sink).catch((error) => {
+              logError(error, `rotateSegment - new socket (${sink.name})`, 'warning');
+              attemptReconnect(sink);
+            });
+          }
+        });
+      } else {
+        broadcastControl(ParatalkProtocol.TYPES.SEGMENT_BOUNDARY, {
+          endedSegmentIndex: endedIndex,
+          segmentIndex,
+          streamOffsetMs: getStreamOffsetMs(),
+          segmentDurationMs: segmentStartedAt - endedStartedAt
+        });
+        // e.g. a fresh WAV header for the new segment
+        sinks.forEach(sink => sendStreamHeader(sink));
+      }
+      
+      const backlog = rotationBacklog;
+      rotationBacklog = null;
+      backlog.forEach(channels => encodeAudioBuffer(channels));
+      
+      scheduleSegmentRotation();
+    })();
+    
+    try {
+      await segmentRotation;
+    } catch (error) {
+      logError(error, 'rotateSegment');
+    } finally {
+      segmentRotation = null;
+      rotationBacklog = null;
+    }
+  }
+  
+  /**
+   * Hard cap reached: the background stops the recording through its normal
+   * stop path and tells the user
+   */
+  function requestMaxDurationStop() {
+    maxDurationTimer = null;
+    if (!isRecording) {
+      return;
+    }
+    
+    console.log(`[Offscreen] Maximum recording time (${settings.maxRecordingMin} min) reached`);
+    chrome.runtime.sendMessage({
+      action: 'recordingLimitReached',
+      maxRecordingMin: settings.maxRecordingMin
+    }).catch((e) => {
+      logError(e, 'requestMaxDurationStop', 'warning');
+      stopRecording('max-duration');
+    });
+  }
+  
   /**
    * Setup AudioWorklet for audio processing
    */
@@ -391,16 +856,33 @@
     const workletUrl = chrome.runtime.getURL('audio-worklet.js');
     await audioContext.audioWorklet.addModule(workletUrl);
     
+    const channelCount = getChannelCount();
+    // Input 0 is the mix to encode; inputs 1 (tab) and 2 (mic) only feed the level meters
     workletNode = new AudioWorkletNode(audioContext, 'audio-processor', {
-      numberOfInputs: 1,
+      numberOfInputs: 3,
       numberOfOutputs: 1,
-      channelCount: 1,
+      channelCount,
+      channelCountMode: 'explicit',
+      outputChannelCount: [channelCount],
+      processorOptions: {
+        channelCount,
+        vad: {
+          enabled: settings.vadEnabled,
+          thresholdDb: settings.vadThresholdDb,
+          hangoverMs: settings.vadHangoverMs,
+          preRollMs: settings.vadPreRollMs
+        }
+      }
     });
     
     // Setup message handling
     workletNode.port.onmessage = (event) => {
       if (event.data.type === 'buffer') {
-        processAudioBuffer(event.data.buffer);
+        processAudioBuffer(event.data.channels);
+      } else if (event.data.type === 'speech') {
+        handleSpeechEvent(event.data);
+      } else if (event.data.type === 'levels') {
+        reportAudioLevels(event.data);
       } else {
         console.log('[Offscreen] Unknown worklet message:', event.data);
       }
@@ -420,17 +902,30 @@
     tabSourceNode = audioContext.createMediaStreamSource(tabStream);
     console.log('[Offscreen] Created tab source node');
     
-    // Create merger for combining audio sources
-    const merger = audioContext.createChannelMerger(1);
-    tabSourceNode.connect(merger, 0, 0);
+    // Create merger for combining audio sources:
+    // mono mixes both into one channel, split puts tab on the left and mic on the right
+    const split = settings.channelMode === 'split';
+    const merger = audioContext.createChannelMerger(getChannelCount());
     
+    // Per-source gain only affects the streamed signal, not local playback
+    tabGainNode = audioContext.createGain();
+    tabSourceNode.connect(tabGainNode);
+    tabGainNode.connect(merger, 0, 0);
+    if (workletNode) {
+      tabSourceNode.connect(workletNode, 0, 1);
+    }
+    
+    // The mic gain node always exists so a microphone plugged in later can be attached
+    micGainNode = audioContext.createGain();
+    micGainNode.connect(merger, 0, split ? 1 : 0);
     if (micStream) {
       console.log('[Offscreen] Setting up microphone source...');
-      micSourceNode = audioContext.createMediaStreamSource(micStream);
-      micSourceNode.connect(merger, 0, 0);
-      console.log('[Offscreen] Microphone connected');
+      connectMicSource();
+      console.log('[Offscreen] Microphone connected', split ? '(right channel)' : '');
     }
     
+    applyMixLevels(mixLevels);
+    
     // Connect to processor
     merger.connect(processor);
     processor.connect(mediaDestination);
@@ -438,13 +933,200 @@
     console.log('[Offscreen] Audio routing complete');
   }
   
+  /**
+   * Open the preferred microphone, falling back to the default device when it
+   * is not available (unplugged, or remembered from another session)
+   */
+  async function openMicStream() {
+    if (micDeviceId) {
+      try {
+        return await navigator.mediaDevices.getUserMedia({
+          audio: { ...getMicConstraints(), deviceId: { exact: micDeviceId } }
+        });
+      } catch (e) {
+        console.warn('[Offscreen] Preferred microphone unavailable, using default:', e.name || e.message);
+      }
+    }
+    return navigator.mediaDevices.getUserMedia({ audio: getMicConstraints() });
+  }
+  
+  /**
+   * Microphone processing constraints from settings. Echo cancellation keeps tab audio
+   * played through the speakers from being captured a second time by the mic.
+   */
+  function getMicConstraints() {
+    return {
+      echoCancellation: settings.micEchoCancellation,
+      noiseSuppression: settings.micNoiseSuppression,
+      autoGainControl: settings.micAutoGainControl,
+      channelCount: settings.micChannelCount
+    };
+  }
+  
+  function getMicTrack() {
+    return micStream ? micStream.getAudioTracks()[0] || null : null;
+  }
+  
+  function getMicLabel() {
+    const track = getMicTrack();
+    return track ? track.label : 'none';
+  }
+  
+  function connectMicSource() {
+    micSourceNode = audioContext.createMediaStreamSource(micStream);
+    micSourceNode.connect(micGainNode);
+    // Unmixed, pre-gain copy for the level meter
+    if (workletNode) {
+      micSourceNode.connect(workletNode, 0, 2);
+    }
+  }
+  
+  /**
+   * Relay the worklet's per-source levels (sent every 200 ms) to the popup via the background
+   */
+  function reportAudioLevels(data) {
+    if (!isRecording) {
+      return;
+    }
+    
+    const track = getMicTrack();
+    const round = value => Math.round(value * 1000) / 1000;
+    const levels = {
+      tab: data.tab ? { rms: round(data.tab.rms), peak: round(data.tab.peak) } : null,
+      mic: data.mic ? { rms: round(data.mic.rms), peak: round(data.mic.peak) } : null,
+      micAvailable: Boolean(track && track.readyState === 'live'),
+      micLabel: track ? track.label : null
+    };
+    
+    chrome.runtime.sendMessage({ action: 'audioLevels', levels }).catch(() => {
+      // Background is restarting; the next update will get through
+    });
+  }
+  
+  /**
+   * Switch to a fallback device when the current microphone goes away
+   */
+  function watchMicTrack(stream) {
+    const track = stream && stream.getAudioTracks()[0];
+    if (track) {
+      track.onended = () => swapMicSource('microphone track ended');
+    }
+  }
+  
+  /**
+   * Replace the microphone input without touching the tab stream, the encoder or the socket
+   */
+  async function swapMicSource(reason) {
+    if (!isRecording || micSwapInProgress) {
+      return;
+    }
+    micSwapInProgress = true;
+    
+    try {
+      console.log('[Offscreen] Switching microphone:', reason);
+      
+      let newStream = null;
+      try {
+        newStream = await openMicStream();
+      } catch (e) {
+        console.warn('[Offscreen] No microphone available, continuing with tab audio only:', e.message);
+      }
+      
+      if (!isRecording) {
+        if (newStream) {
+          newStream.getTracks().forEach(track => track.stop());
+        }
+        return;
+      }
+      
+      if (micSourceNode) {
+        micSourceNode.disconnect();
+        micSourceNode = null;
+      }
+      if (micStream) {
+        micStream.getTracks().forEach((track) => {
+          track.onended = null;
+          track.stop();
+        });
+      }
+      
+      micStream = newStream;
+      watchMicTrack(micStream);
+      // Before audio setup finishes, setupAudioRouting() picks up the new stream itself
+      if (micStream && audioContext && micGainNode) {
+        connectMicSource();
+      }
+      
+      console.log('[Offscreen] Microphone switched to:', getMicLabel());
+    } catch (error) {
+      logError(error, 'swapMicSource', 'warning');
+    } finally {
+      micSwapInProgress = false;
+    }
+  }
+  
+  /**
+   * React to microphones being plugged in or removed during a recording
+   */
+  async function handleDeviceChange() {
+    if (!isRecording) {
+      return;
+    }
+    
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      const inputs = devices.filter(d => d.kind === 'audioinput');
+      const track = getMicTrack();
+      const current = track ? track.getSettings() : {};
+      
+      if (!track || track.readyState === 'ended') {
+        if (inputs.length > 0) {
+          swapMicSource('microphone available');
+        }
+      } else if (!inputs.some(d => d.deviceId === current.deviceId)) {
+        swapMicSource('current microphone removed');
+      } else if (micDeviceId && current.deviceId !== micDeviceId && inputs.some(d => d.deviceId === micDeviceId)) {
+        swapMicSource('preferred microphone reconnected');
+      } else if (!micDeviceId) {
+        // Follow the system default device when no microphone was chosen
+        const systemDefault = inputs.find(d => d.deviceId === 'default');
+        if (systemDefault && current.groupId && systemDefault.groupId !== current.groupId) {
+          swapMicSource('default microphone changed');
+        }
+      }
+    } catch (error) {
+      logError(error, 'handleDeviceChange', 'warning');
+    }
+  }
+  
+  /**
+   * Apply per-source gain and mute to the streamed signal
+   */
+  function applyMixLevels(levels) {
+    mixLevels = { ...mixLevels, ...levels };
+    
+    if (!audioContext) {
+      return;
+    }
+    
+    const now = audioContext.currentTime;
+    // Short time constant avoids clicks when a slider moves or mute toggles
+    if (tabGainNode) {
+      tabGainNode.gain.setTargetAtTime(mixLevels.tabMuted ? 0 : mixLevels.tabGain, now, 0.015);
+    }
+    if (micGainNode) {
+      micGainNode.gain.setTargetAtTime(mixLevels.micMuted ? 0 : mixLevels.micGain, now, 0.015);
+    }
+  }
+  
   /**
    * Setup ScriptProcessor fallback for older browsers
    */
   function setupScriptProcessor(mediaDestination) {
     try {
       // Create script processor
-      processor = audioContext.createScriptProcessor(CONFIG.BUFFER_SIZE, 1, 1);
+      const channelCount = getChannelCount();
+      processor = audioContext.createScriptProcessor(CONFIG.BUFFER_SIZE, channelCount, channelCount);
       
       // Setup audio routing
       setupAudioRouting(processor, mediaDestination);
@@ -452,11 +1134,15 @@
       // Setup audio processing
       processor.onaudioprocess = (e) => {
         try {
-          const inputData = e.inputBuffer.getChannelData(0);
-          const output = e.outputBuffer.getChannelData(0);
-          output.set(inputData);
+          const channels = [];
+          for (let c = 0; c < channelCount; c++) {
+            const inputData = e.inputBuffer.getChannelData(c);
+            e.outputBuffer.getChannelData(c).set(inputData);
+            // The input buffer is reused between callbacks
+            channels.push(inputData.slice(0));
+          }
           
-          processAudioBuffer(inputData);
+          processAudioBuffer(channels);
         } catch (error) {
           logError(error, 'ScriptProcessor.onaudioprocess');
         }
@@ -470,30 +1156,312 @@
   }
   
   /**
-   * Process audio buffer and send to WebSocket
+   * Number of channels captured and encoded for the current channel mode
    */
-  function processAudioBuffer(buffer) {
+  function getChannelCount() {
+    return settings.channelMode === 'split' ? 2 : 1;
+  }
+  
+  /**
+   * Process audio buffers (one Float32Array per channel): encode once per codec
+   * and dispatch to every sink
+   */
+  function processAudioBuffer(channels) {
     try {
-      if (!isRecording || !mp3Encoder) {
+      if (!isRecording || isPaused || encoders.size === 0) {
         return;
       }
       
-      const samples = floatTo16BitPCM(buffer);
-      const mp3buf = mp3Encoder.encodeBuffer(samples);
-      
-      if (mp3buf.length > 0 && ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(mp3buf.buffer);
-        lastHeartbeat = Date.now();
+      if (rotationBacklog) {
+        rotationBacklog.push(channels);
+        return;
       }
+      
+      encodeAudioBuffer(channels);
     } catch (error) {
       logError(error, 'processAudioBuffer');
     }
   }
+  
+  /**
+   * Encode a buffer with every encoder. Also used to replay audio held back during
+   * a segment rotation, which must not be dropped if the recording stopped meanwhile.
+   */
+  function encodeAudioBuffer(channels) {
+    // Encoded frames arrive via handleEncodedFrame (synchronously for MP3, later for Opus);
+    // a failing encoder must not keep the others from running
+    encoders.forEach((encoder, codec) => {
+      try {
+        encoder.encode(channels);
+      } catch (error) {
+        logError(error, `processAudioBuffer - ${codec}`);
+      }
+    });
+    encodedSamples += channels[0].length;
+  }
+  
+  /**
+   * Position in the sent audio stream, in ms. Skipped silence is not counted,
+   * so the server can line speech events up with the audio it received.
+   */
+  function getStreamOffsetMs() {
+    return Math.round(encodedSamples / settings.sampleRate * 1000);
+  }
+  
+  /**
+   * Forward the worklet's VAD transitions to the server as speech.start / speech.end
+   */
+  function handleSpeechEvent(event) {
+    if (!isRecording || isPaused) {
+      return;
+    }
+    
+    if (event.state === 'start' && speechStartOffsetMs === null) {
+      speechStartOffsetMs = getStreamOffsetMs();
+      broadcastControl(ParatalkProtocol.TYPES.SPEECH_START, {
+        streamOffsetMs: speechStartOffsetMs,
+        levelDb: event.levelDb
+      });
+    } else if (event.state === 'end') {
+      endSpeech('silence');
+    }
+  }
+  
+  /**
+   * Close an open speech span (silence, pause or stop)
+   */
+  function endSpeech(reason) {
+    if (speechStartOffsetMs === null) {
+      return;
+    }
+    
+    const streamOffsetMs = getStreamOffsetMs();
+    broadcastControl(ParatalkProtocol.TYPES.SPEECH_END, {
+      streamOffsetMs,
+      durationMs: streamOffsetMs - speechStartOffsetMs,
+      reason
+    });
+    speechStartOffsetMs = null;
+  }
+  
+  /**
+   * Encoder output: keep a local copy if enabled (main codec only), then stream it
+   * to every sink using this codec
+   */
+  function handleEncodedFrame(codec, frame, { header = false } = {}) {
+    if (localChunks && codec === activeCodec) {
+      localChunks.push(frame);
+      localBytes += frame.byteLength;
+      if (localBytes >= CONFIG.LOCAL_COPY_PART_BYTES) {
+        saveLocalCopyPart();
+      }
+    }
+    sinks.forEach((sink) => {
+      if (sink.codec !== codec || sink.failed) {
+        return;
+      }
+      // In-line headers (Ogg Opus) are not queued: a socket that opens later
+      // gets them from sendStreamHeader() ahead of the replayed frames
+      if (header && !isSinkOpen(sink)) {
+        return;
+      }
+      try {
+        sendFrame(sink, frame);
+      } catch (e) {
+        logError(e, `sendFrame - ${sink.name}`);
+      }
+    });
+  }
+  
+  /**
+   * Send an encoded frame to a sink, or queue it while its socket is not OPEN.
+   * Queued frames go first so the server receives audio in order.
+   */
+  function sendFrame(sink, frame) {
+    const socketOpen = isSinkOpen(sink);
+    const { frameBuffer } = sink;
+    
+    if (socketOpen && (!frameBuffer || frameBuffer.length === 0)) {
+      sendBinary(sink, frame);
+      return;
+    }
+    
+    if (frameBuffer) {
+      const kept = frameBuffer.push(frame);
+      if (!kept && frameBuffer.droppedFrames % 100 === 1) {
+        logError(new Error(`Reconnect buffer for ${sink.name} full, dropped ${frameBuffer.droppedFrames} frames so far`), 'sendFrame', 'warning');
+      }
+    }
+    
+    if (socketOpen) {
+      drainFrameBuffer(sink);
+    }
+  }
+  
+  /**
+   * Send a binary audio frame on the sink's open socket and count it for session.end
+   */
+  function sendBinary(sink, frame) {
+    sink.ws.send(frame);
+    sink.stats.bytesSent += frame.byteLength;
+    sink.stats.framesSent++;
+    lastHeartbeat = Date.now();
+  }
+  
+  /**
+   * Send a JSON control message (see protocol.js); returns false if the sink's socket is not open
+   */
+  function sendControl(sink, type, fields = {}) {
+    if (!isSinkOpen(sink)) {
+      return false;
+    }
+    
+    try {
+      sink.ws.send(JSON.stringify(ParatalkProtocol.message(type, { sessionId, ...fields })));
+      return true;
+    } catch (e) {
+      logError(e, `sendControl - ${type} (${sink.name})`);
+      return false;
+    }
+  }
+  
+  /**
+   * Send a control message to every connected sink
+   */
+  function broadcastControl(type, fields = {}) {
+    sinks.forEach(sink => sendControl(sink, type, fields));
+  }
+  
+  /**
+   * Describe the session before any audio on every connection, so a reconnect
+   * can be matched to the same session
+   */
+  function sendSessionStart(sink) {
+    if (!sessionId) {
+      return;
+    }
+    
+    sink.stats.connections++;
+    sink.connections++;
+    sendControl(sink, ParatalkProtocol.TYPES.SESSION_START, {
+      sink: sink.name,
+      codec: sink.codec,
+      mimeType: ParatalkEncoders.mimeType(sink.codec),
+      sampleRate: ParatalkEncoders.outputSampleRate(sink.codec, settings.sampleRate, settings),
+      channels: getChannelCount(),
+      channelMode: settings.channelMode,
+      publicId: receivedPublicId,
+      extensionVersion: chrome.runtime.getManifest().version,
+      startedAt: new Date(recordingStartTime).toISOString(),
+      resumed: sink.connections > 1,
+      recordingId,
+      segmentIndex,
+      segmentStartedAt: new Date(segmentStartedAt).toISOString(),
+      paused: isPaused,
+      pausedAt: isPaused ? new Date(pausedAt).toISOString() : null,
+      vad: settings.vadEnabled,
+      // After a reconnect mid-speech, the server did not see that span's speech.start
+      speaking: speechStartOffsetMs !== null,
+      streamOffsetMs: getStreamOffsetMs()
+    });
+  }
+  
+  /**
+   * Close the session on the sink's current socket. With new-socket segments the
+   * duration is the segment's; byte and frame counts cover the whole recording.
+   */
+  function sendSessionEnd(sink, reason, startTime) {
+    sendControl(sink, ParatalkProtocol.TYPES.SESSION_END, {
+      reason,
+      durationMs: startTime ? Date.now() - startTime : 0,
+      pausedMs: pausedTotalMs + (isPaused ? Date.now() - pausedAt : 0),
+      bytesSent: sink.stats.bytesSent,
+      framesSent: sink.stats.framesSent,
+      droppedFrames: sink.frameBuffer ? sink.frameBuffer.droppedFrames : 0,
+      segmentIndex
+    });
+  }
+  
+  /**
+   * Stop feeding the encoder while keeping capture and the socket alive
+   */
+  function pauseRecording() {
+    if (!isRecording || isPaused) {
+      return;
+    }
+    
+    endSpeech('paused');
+    isPaused = true;
+    pausedAt = Date.now();
+    console.log('[Offscreen] Recording paused');
+    broadcastControl(ParatalkProtocol.TYPES.SESSION_PAUSE, {
+      pausedAt: new Date(pausedAt).toISOString()
+    });
+  }
+  
+  /**
+   * Resume encoding and report the paused interval to the server
+   */
+  function resumeRecording() {
+    if (!isRecording || !isPaused) {
+      return;
+    }
+    
+    const resumedAt = Date.now();
+    const pausedMs = resumedAt - pausedAt;
+    pausedTotalMs += pausedMs;
+    console.log(`[Offscreen] Recording resumed after ${pausedMs}ms`);
+    broadcastControl(ParatalkProtocol.TYPES.SESSION_RESUME, {
+      pausedAt: new Date(pausedAt).toISOString(),
+      resumedAt: new Date(resumedAt).toISOString(),
+      pausedMs
+    });
+    
+    isPaused = false;
+    pausedAt = null;
+    
+    // Start VAD afresh so speech after the pause gets its own speech.start
+    if (workletNode) {
+      workletNode.port.postMessage({ type: 'vad-reset' });
+    }
+  }
+  
+  /**
+   * Send the sink encoder's per-connection header (e.g. WAV header in PCM mode), if any
+   */
+  function sendStreamHeader(sink) {
+    const encoder = encoders.get(sink.codec);
+    if (!encoder || typeof encoder.streamHeader !== 'function') {
+      return;
+    }
+    
+    const header = encoder.streamHeader();
+    if (header && isSinkOpen(sink)) {
+      sink.ws.send(header);
+      console.log(`[Offscreen] Stream header sent (${sink.name})`);
+    }
+  }
+  
+  /**
+   * Replay a sink's queued frames in order once its socket is OPEN
+   */
+  function drainFrameBuffer(sink) {
+    const { frameBuffer } = sink;
+    if (!frameBuffer || frameBuffer.length === 0) {
+      return;
+    }
+    
+    const count = frameBuffer.length;
+    while (frameBuffer.length > 0 && isSinkOpen(sink)) {
+      sendBinary(sink, frameBuffer.shift());
+    }
+    console.log(`[Offscreen] Replayed ${count - frameBuffer.length} buffered frames to ${sink.name} after reconnect`);
+  }
 
   /**
    * Enhanced stop recording with comprehensive cleanup
    */
-  function stopRecording() {
+  async function stopRecording(reason = 'stopped') {
     console.log('[Offscreen] Stopping recording...');
     
     if (!isRecording) {
@@ -501,22 +1469,45 @@
       return;
     }
     
+    const startTime = recordingStartTime;
     isRecording = false;
     recordingStartTime = null;
+    clearTimeout(segmentTimer);
+    segmentTimer = null;
+    clearTimeout(maxDurationTimer);
+    maxDurationTimer = null;
     
     try {
-      // Flush MP3 encoder first to ensure no data loss
-      if (mp3Encoder && ws && ws.readyState === WebSocket.OPEN) {
+      // Let a segment rotation finish so its held-back audio reaches the new encoder
+      if (segmentRotation) {
+        await segmentRotation.catch(() => {});
+      }
+      
+      // Flush encoders first to ensure no data loss
+      await Promise.all([...encoders].map(async ([codec, encoder]) => {
         try {
-          const mp3bufFlush = mp3Encoder.flush();
-          if (mp3bufFlush.length > 0) {
-            ws.send(mp3bufFlush.buffer);
-            console.log('[Offscreen] Final MP3 data sent');
-          }
+          await encoder.flush();
+          console.log(`[Offscreen] Final ${codec} data flushed`);
         } catch (e) {
-          logError(e, 'stopRecording - MP3 flush');
+          logError(e, `stopRecording - encoder flush (${codec})`);
         }
-      }
+      }));
+      
+      const open = sinks.filter(isSinkOpen);
+      open.forEach(sink => drainFrameBuffer(sink));
+      endSpeech('stopped');
+      sinks.forEach((sink) => {
+        if (isSinkOpen(sink)) {
+          // Tell the server the stream ended cleanly after the final flush
+          sendSessionEnd(sink, reason, settings.segmentRotation === 'new-socket' ? segmentStartedAt : startTime);
+        } else if (sink.frameBuffer && sink.frameBuffer.length > 0) {
+          logError(new Error(`Discarding ${sink.frameBuffer.length} buffered frames for ${sink.name}, socket not open at stop`), 'stopRecording', 'warning');
+        }
+        sink.frameBuffer = null;
+      });
+      
+      // Save the local copy (including the flushed tail) before the encoder is released
+      await saveLocalCopy(startTime);
       
       // Clean up audio nodes with error handling
       cleanupAudioNodes();
@@ -533,8 +1524,10 @@
       // Close AudioContext
       cleanupAudioContext();
       
-      // Reset state
-      connectionAttempts = 0;
+      // Reset state (the sinks are kept for their final stats in getStatus)
+      isPaused = false;
+      pausedAt = null;
+      sessionId = null;
       
       console.log('[Offscreen] Recording stopped and cleanup completed');
       
@@ -544,7 +1537,7 @@
       // Notify background of completion
       notifyRecordingStopped();
       
-      // Close window after delay
+      // Close the fallback popup window after delay (background closes offscreen documents)
       setTimeout(() => {
         try {
           window.close();
@@ -555,6 +1548,116 @@
     }
   }
   
+  /**
+   * Write out the local copy so far as a numbered part and keep recording into a new one,
+   * so a long recording is not held in memory as a whole
+   */
+  function saveLocalCopyPart() {
+    const chunks = localChunks;
+    const part = localPart++;
+    const startTime = recordingStartTime;
+    localChunks = [];
+    localBytes = 0;
+    
+    // An Ogg Opus part needs the header pages to be playable on its own
+    // (a PCM part gets its WAV header from fileHeader())
+    const encoder = encoders.get(activeCodec);
+    if (encoder && typeof encoder.fileHeader !== 'function' && typeof encoder.streamHeader === 'function') {
+      const header = encoder.streamHeader();
+      if (header) {
+        localChunks.push(header);
+      }
+    }
+    
+    localCopySaves = localCopySaves.then(() => writeLocalCopy(chunks, startTime, part, CONFIG.LOCAL_COPY_PART_SAVE_TIMEOUT));
+  }
+  
+  /**
+   * Save what is left of the local copy when the recording stops
+   */
+  async function saveLocalCopy(startTime) {
+    const chunks = localChunks;
+    localChunks = null;
+    localBytes = 0;
+    
+    // Earlier parts first, while this document (and their blob URLs) is still alive
+    if (localPart > 1) {
+      extendStopTimeout(CONFIG.LOCAL_COPY_PART_SAVE_TIMEOUT);
+      await localCopySaves;
+    }
+    if (!chunks || chunks.length === 0) {
+      return;
+    }
+    extendStopTimeout(CONFIG.LOCAL_COPY_SAVE_TIMEOUT);
+    await writeLocalCopy(chunks, startTime, localPart > 1 ? localPart : null, CONFIG.LOCAL_COPY_SAVE_TIMEOUT);
+  }
+  
+  /**
+   * Ask the background to wait up to waitMs longer for recordingStopped before it
+   * force-closes this document (which would lose the download in progress)
+   */
+  function extendStopTimeout(waitMs) {
+    chrome.runtime.sendMessage({ action: 'stopProgress', waitMs }).catch((e) => {
+      logError(e, 'extendStopTimeout', 'warning');
+    });
+  }
+  
+  /**
+   * Write recorded frames to a file via the background's chrome.downloads
+   */
+  async function writeLocalCopy(chunks, startTime, part, timeoutMs) {
+    let url = null;
+    let finished = false;
+    
+    try {
+      const dataLength = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+      const encoder = encoders.get(activeCodec);
+      const parts = encoder && typeof encoder.fileHeader === 'function'
+        ? [encoder.fileHeader(dataLength), ...chunks]
+        : chunks;
+      const blob = new Blob(parts, { type: ParatalkEncoders.mimeType(activeCodec) });
+      url = URL.createObjectURL(blob);
+      
+      const filename = buildLocalCopyFilename(startTime, part);
+      console.log(`[Offscreen] Saving local copy (${blob.size} bytes) as ${filename}`);
+      
+      // The blob URL only lives as long as this document, so wait for the download to finish.
+      // The background answers within timeoutMs; the margin covers the message round trip.
+      const response = await Promise.race([
+        chrome.runtime.sendMessage({ action: 'saveRecording', url, filename, timeoutMs }),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('Local copy save timeout')), timeoutMs + 2000))
+      ]);
+      
+      if (response && response.error) {
+        finished = true;
+        throw new Error(response.error);
+      }
+      finished = !response || !response.pending;
+      console.log(finished ? '[Offscreen] Local copy saved' : '[Offscreen] Local copy still downloading');
+    } catch (e) {
+      logError(e, 'saveLocalCopy');
+    } finally {
+      // Revoking the URL of a download still in progress would interrupt it;
+      // otherwise it is released when this document closes
+      if (url && finished) {
+        URL.revokeObjectURL(url);
+      }
+    }
+  }
+  
+  /**
+   * File name: Paratalk/paratalk-YYYYMMDD-HHMMSS-<publicId>[-partN].<ext>
+   */
+  function buildLocalCopyFilename(startTime, part) {
+    const date = new Date(startTime || Date.now());
+    const pad = n => String(n).padStart(2, '0');
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+      `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    const id = receivedPublicId ? String(receivedPublicId).replace(/[^A-Za-z0-9_-]/g, '_') : 'anonymous';
+    const suffix = part ? `-part${part}` : '';
+    return `Paratalk/paratalk-${stamp}-${id}${suffix}.${ParatalkEncoders.fileExtension(activeCodec)}`;
+  }
+  
   /**
    * Clean up audio nodes
    */
@@ -563,7 +1666,9 @@
       { node: processor, name: 'processor' },
       { node: workletNode, name: 'workletNode' },
       { node: tabSourceNode, name: 'tabSourceNode' },
-      { node: micSourceNode, name: 'micSourceNode' }
+      { node: micSourceNode, name: 'micSourceNode' },
+      { node: tabGainNode, name: 'tabGainNode' },
+      { node: micGainNode, name: 'micGainNode' }
     ];
     
     nodes.forEach(({ node, name }) => {
@@ -581,7 +1686,17 @@
     workletNode = null;
     tabSourceNode = null;
     micSourceNode = null;
-    mp3Encoder = null;
+    tabGainNode = null;
+    micGainNode = null;
+    
+    encoders.forEach((encoder, codec) => {
+      try {
+        encoder.close();
+      } catch (e) {
+        logError(e, `cleanupAudioNodes - encoder (${codec})`);
+      }
+    });
+    encoders = new Map();
   }
   
   /**
@@ -603,23 +1718,31 @@
     
     tabStream = null;
     micStream = null;
+    micSwapInProgress = false;
   }
   
   /**
-   * Clean up WebSocket connection
+   * Clean up every sink's WebSocket connection and pending reconnect
    */
   function cleanupWebSocket() {
-    if (ws) {
+    sinks.forEach((sink) => {
+      sink.reconnectPolicy.cancel();
+      clearTimeout(sink.stableTimer);
+      sink.stableTimer = null;
+      if (!sink.ws) {
+        return;
+      }
       try {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.close(1000, 'Recording stopped');
+        // A socket still CONNECTING (reconnect, segment rotation) would otherwise open after the stop
+        if (sink.ws.readyState === WebSocket.OPEN || sink.ws.readyState === WebSocket.CONNECTING) {
+          sink.ws.close(1000, 'Recording stopped');
         }
-        console.log('[Offscreen] WebSocket closed');
+        console.log(`[Offscreen] WebSocket ${sink.name} closed`);
       } catch (e) {
-        logError(e, 'cleanupWebSocket');
+        logError(e, `cleanupWebSocket - ${sink.name}`);
       }
-      ws = null;
-    }
+      sink.ws = null;
+    });
   }
   
   /**
@@ -695,17 +1818,27 @@
    */
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     try {
-      console.log('[Offscreen] Received message:', message);
-      
       if (!message || typeof message.action !== 'string') {
         logError(new Error('Invalid message format'), 'onMessage');
         return false;
       }
       
+      // Level meters are relayed several times a second; don't log them
+      if (message.action !== 'levelsUpdate') {
+        console.log('[Offscreen] Received message:', message);
+      }
+      
       switch (message.action) {
         case 'startRecordingInOffscreen':
           console.log('[Offscreen] Starting recording with publicId:', message.publicId);
           receivedPublicId = message.publicId;
+          tabStreamId = message.streamId || null;
+          targetTabId = message.targetTabId || null;
+          micDeviceId = message.micDeviceId || '';
+          settings = ParatalkSettings.validate(message.settings).settings;
+          if (message.mixLevels) {
+            mixLevels = { ...mixLevels, ...message.mixLevels };
+          }
           
           startRecording()
             .then(() => {
@@ -716,23 +1849,61 @@
             });
           break;
           
+        case 'pauseRecordingInOffscreen':
+          pauseRecording();
+          break;
+          
+        case 'resumeRecordingInOffscreen':
+          resumeRecording();
+          break;
+          
+        case 'setMixLevelsInOffscreen':
+          applyMixLevels(message.mixLevels || {});
+          break;
+          
+        case 'setMicDeviceInOffscreen':
+          micDeviceId = message.deviceId || '';
+          swapMicSource('microphone selected in popup');
+          break;
+          
         case 'stopRecordingInOffscreen':
           console.log('[Offscreen] Stopping recording');
-          stopRecording();
+          stopRecording(message.reason || 'stopped');
           break;
           
-        case 'getStatus':
+        case 'getStatus': {
+          // Top-level connection fields describe the main Paratalk sink
+          const primary = getPrimarySink();
           sendResponse({
             isRecording,
             recordingStartTime,
-            connectionAttempts,
+            connectionAttempts: primary ? primary.connectionAttempts : 0,
             lastHeartbeat,
+            codec: activeCodec,
+            targetTabId,
+            microphone: getMicLabel(),
+            speaking: speechStartOffsetMs !== null,
+            isPaused,
+            pausedTotalMs,
+            mixLevels,
+            sessionId,
+            recordingId,
+            segmentIndex,
+            sessionStats: primary ? primary.stats : null,
+            frameBuffer: primary && primary.frameBuffer ? primary.frameBuffer.stats() : null,
+            sinks: sinks.map(describeSink),
             errorCount: errorLog.length
           });
           break;
+        }
+          
+        case 'getOffscreenErrorLog':
+          sendResponse({ errorLog: errorLog.slice() });
+          break;
           
         default:
-          logError(new Error(`Unknown action: ${message.action}`), 'onMessage');
+          // Every extension page hears every runtime message: background broadcasts for the
+          // popup and requests from the popup, options and diagnostics pages are not ours
           break;
       }
     } catch (error) {
@@ -787,6 +1958,8 @@
       // Start health monitoring
       startHealthMonitoring();
       
+      navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+      
       // Notify background that offscreen is ready
       chrome.runtime.sendMessage({ action: 'offscreenReady' });
       
@@ -0,0 +1,112 @@
+// Options page: edit the shared settings stored in chrome.storage.sync
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('settings-form');
+  const resetButton = document.getElementById('reset');
+  const saveStatus = document.getElementById('save-status');
+  const { SCHEMA, DEFAULTS } = ParatalkSettings;
+
+  // Populate <select> elements from the enum definitions
+  Object.entries(SCHEMA).forEach(([key, def]) => {
+    const el = document.getElementById(key);
+    if (!el || def.type !== 'enum' || el.tagName !== 'SELECT') return;
+    el.innerHTML = '';
+    def.values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = String(value);
+      option.textContent = String(value);
+      el.appendChild(option);
+    });
+  });
+
+  /**
+   * Write a settings object into the form controls
+   */
+  function fillForm(settings) {
+    Object.keys(SCHEMA).forEach((key) => {
+      const el = document.getElementById(key);
+      if (!el) return;
+      if (el.type === 'checkbox') {
+        el.checked = Boolean(settings[key]);
+      } else if (SCHEMA[key].type === 'sinks') {
+        el.value = settings[key].map(sink => [sink.name, sink.url, sink.codec].filter(Boolean).join(' ')).join('\n');
+      } else if (Array.isArray(settings[key])) {
+        el.value = settings[key].join('\n');
+      } else {
+        el.value = String(settings[key]);
+      }
+    });
+  }
+
+  /**
+   * Read the form controls back into a settings object, coercing to schema types
+   */
+  function readForm() {
+    const values = {};
+    Object.entries(SCHEMA).forEach(([key, def]) => {
+      const el = document.getElementById(key);
+      if (!el) return;
+      if (el.type === 'checkbox') {
+        values[key] = el.checked;
+      } else if (def.type === 'origins') {
+        // One origin per line (commas also accepted)
+        values[key] = el.value.split(/[\s,]+/).filter(Boolean);
+      } else if (def.type === 'sinks') {
+        // One destination per line: "name url [codec]"
+        values[key] = el.value.split('\n').map(line => line.trim()).filter(Boolean).map((line) => {
+          const [name, url, codec] = line.split(/\s+/);
+          return { name, url, codec: codec || null };
+        });
+      } else if (def.type === 'number' || (def.type === 'enum' && typeof def.default === 'number')) {
+        values[key] = el.value.trim() === '' ? NaN : Number(el.value);
+      } else {
+        values[key] = el.value.trim();
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Show per-field validation errors (or clear them)
+   */
+  function showErrors(errors) {
+    Object.keys(SCHEMA).forEach((key) => {
+      const el = document.getElementById(key);
+      const message = document.querySelector(`[data-error-for="${key}"]`);
+      if (el) el.classList.toggle('invalid', Boolean(errors[key]));
+      if (message) message.textContent = errors[key] || '';
+    });
+  }
+
+  function setSaveStatus(state, text) {
+    saveStatus.className = state;
+    saveStatus.textContent = text;
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const { errors } = ParatalkSettings.validate(readForm());
+    showErrors(errors);
+
+    if (Object.keys(errors).length > 0) {
+      setSaveStatus('error', 'Please fix the highlighted fields');
+      return;
+    }
+
+    try {
+      await ParatalkSettings.save(readForm());
+      setSaveStatus('success', 'Saved');
+    } catch (e) {
+      console.error('[options.js] Failed to save settings:', e);
+      showErrors(e.fields || {});
+      setSaveStatus('error', 'Save failed');
+    }
+  });
+
+  resetButton.addEventListener('click', () => {
+    fillForm(DEFAULTS);
+    showErrors({});
+    setSaveStatus('', 'Defaults restored (not saved yet)');
+  });
+
+  ParatalkSettings.load().then(fillForm);
+});
@@ -2,6 +2,9 @@
 document.addEventListener('DOMContentLoaded', () => {
   const startButton = document.getElementById('start');
   const stopButton = document.getElementById('stop');
+  const pauseButton = document.getElementById('pause');
+  const tabSelect = document.getElementById('tab-select');
+  const micSelect = document.getElementById('mic-select');
   const statusElement = document.getElementById('status');
   
   // Helper function to update status with visual feedback
@@ -29,16 +32,26 @@ document.addEventListener('DOMContentLoaded', () => {
     updateStatus('ready', 'Ready');
   }
   
-  // Check WebSocket server with retry logic
-  let connectionAttempts = 0;
-  const maxAttempts = 3;
+  // Shared settings (server URL etc.), loaded before the first connection check
+  let settings = { ...ParatalkSettings.DEFAULTS };
+  
+  // Check WebSocket server with retry logic (shared backoff policy, see retry-policy.js)
+  const connectionRetry = new RetryPolicy({
+    baseDelay: 1000,
+    maxDelay: 8000,
+    deadline: 30000,
+    onStatus: (status) => {
+      if (status.state === 'retrying') {
+        updateStatus('loading', `Retrying in ${Math.ceil(status.delay / 1000)}s...`);
+      }
+    }
+  });
   
   function checkServerConnection() {
-    connectionAttempts++;
-    updateStatus('loading', `Connecting... (${connectionAttempts}/${maxAttempts})`);
+    updateStatus('loading', `Connecting... (attempt ${connectionRetry.attempt + 1})`);
     
     let connectionCheckTimeout;
-    const testSocket = new WebSocket('wss://app.paratalk.jp/ws');
+    const testSocket = new WebSocket(settings.wsUrl);
     
     connectionCheckTimeout = setTimeout(() => {
       testSocket.close();
@@ -50,7 +63,7 @@ document.addEventListener('DOMContentLoaded', () => {
       updateStatus('connected', 'Server connected');
       testSocket.close();
       startButton.disabled = false;
-      connectionAttempts = 0; // Reset on success
+      connectionRetry.reset(); // Reset on success
     };
     
     testSocket.onerror = (error) => {
@@ -69,14 +82,12 @@ document.addEventListener('DOMContentLoaded', () => {
   }
   
   function handleConnectionFailure(reason) {
-    if (connectionAttempts < maxAttempts) {
-      setTimeout(() => {
-        checkServerConnection();
-      }, 2000); // Wait 2 seconds before retry
-    } else {
+    // onerror and onclose both report a failure; schedule() ignores the duplicate
+    if (connectionRetry.schedule(checkServerConnection) === null) {
+      console.error('[popup.js] Server check gave up:', reason);
       updateStatus('error', 'Server unavailable');
       startButton.disabled = true;
-      connectionAttempts = 0;
+      connectionRetry.reset();
       
       // Add retry button functionality
       setTimeout(() => {
@@ -93,8 +104,336 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
-  // Start initial connection check
-  checkServerConnection();
+  // Start initial connection check once settings are available
+  ParatalkSettings.load().then((loaded) => {
+    settings = loaded;
+    checkServerConnection();
+  });
+  
+  // Tab picker: tabs Chrome lets us capture, defaulting to the tab that is active when Start is clicked.
+  // tabCapture needs an activeTab grant, so only tabs the extension was invoked on are listed
+  // (this popup's tab, and tabs where the shortcut or context menu was used).
+  function populateTabPicker(selectedTabId) {
+    if (!tabSelect) return;
+    
+    chrome.tabs.query({ active: true, currentWindow: true }, ([activeTab]) => {
+      chrome.runtime.sendMessage({ action: 'getCapturableTabs', activeTabId: activeTab ? activeTab.id : undefined }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          console.error('[popup.js] Error getting capturable tabs:', chrome.runtime.lastError);
+          return;
+        }
+        
+        chrome.tabs.query({}, (tabs) => {
+          if (chrome.runtime.lastError) {
+            console.error('[popup.js] Error listing tabs:', chrome.runtime.lastError);
+            return;
+          }
+          
+          const current = selectedTabId !== undefined ? selectedTabId : tabSelect.value;
+          while (tabSelect.options.length > 1) {
+            tabSelect.remove(1);
+          }
+          
+          tabs
+            .filter(tab => response.tabIds.includes(tab.id) && tab.url && /^(https?|file):/.test(tab.url))
+            .forEach(tab => tabSelect.appendChild(createTabOption(tab)));
+          
+          tabSelect.value = current ? String(current) : '';
+          if (tabSelect.value !== String(current || '')) {
+            tabSelect.value = '';
+          }
+        });
+      });
+    });
+  }
+  
+  function createTabOption(tab) {
+    const option = document.createElement('option');
+    option.value = String(tab.id);
+    const title = tab.title || tab.url;
+    option.textContent = `${tab.audible ? '🔊 ' : ''}${title.length > 48 ? title.slice(0, 47) + '…' : title}`;
+    return option;
+  }
+  
+  // While recording the picker shows only the captured tab. It is looked up directly
+  // because that tab may no longer be one the picker would list (e.g. it navigated).
+  let shownCaptureTabId = null;
+  
+  function showCaptureTab(tabId) {
+    if (!tabSelect || shownCaptureTabId === tabId) return;
+    shownCaptureTabId = tabId;
+    
+    chrome.tabs.get(tabId, (tab) => {
+      if (shownCaptureTabId !== tabId) return;
+      while (tabSelect.options.length > 1) {
+        tabSelect.remove(1);
+      }
+      
+      if (chrome.runtime.lastError || !tab) {
+        const option = document.createElement('option');
+        option.value = String(tabId);
+        option.textContent = '録音中のタブ（閉じられました）';
+        tabSelect.appendChild(option);
+      } else {
+        tabSelect.appendChild(createTabOption(tab));
+      }
+      tabSelect.value = String(tabId);
+    });
+  }
+  
+  function releaseCaptureTab() {
+    if (shownCaptureTabId === null) return;
+    shownCaptureTabId = null;
+    populateTabPicker('');
+  }
+  
+  function getSelectedTabId() {
+    return tabSelect && tabSelect.value ? Number(tabSelect.value) : undefined;
+  }
+  
+  populateTabPicker();
+  
+  // Microphone picker: the choice is kept in chrome.storage.local because device ids
+  // are specific to this machine. Changing it during a recording switches the mic live.
+  async function populateMicPicker() {
+    if (!micSelect) return;
+    
+    try {
+      const [devices, stored] = await Promise.all([
+        navigator.mediaDevices.enumerateDevices(),
+        chrome.storage.local.get('micDeviceId')
+      ]);
+      const preferred = stored.micDeviceId || '';
+      const inputs = devices.filter(d => d.kind === 'audioinput' && d.deviceId && d.deviceId !== 'default' && d.deviceId !== 'communications');
+      
+      while (micSelect.options.length > 1) {
+        micSelect.remove(1);
+      }
+      
+      inputs.forEach((device, index) => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        // Labels stay empty until microphone permission has been granted to the extension
+        option.textContent = device.label || `Microphone ${index + 1}`;
+        micSelect.appendChild(option);
+      });
+      
+      // A remembered device that is unplugged right now is still shown, so the choice is not lost
+      if (preferred && !inputs.some(d => d.deviceId === preferred)) {
+        const option = document.createElement('option');
+        option.value = preferred;
+        option.textContent = '保存したマイク（未接続）';
+        micSelect.appendChild(option);
+      }
+      micSelect.value = preferred;
+    } catch (e) {
+      console.error('[popup.js] Error listing microphones:', e);
+    }
+  }
+  
+  if (micSelect) {
+    micSelect.addEventListener('change', () => {
+      chrome.storage.local.set({ micDeviceId: micSelect.value }).catch((e) => {
+        console.error('[popup.js] Error saving microphone choice:', e);
+      });
+    });
+    navigator.mediaDevices.addEventListener('devicechange', populateMicPicker);
+    populateMicPicker();
+  }
+  
+  // Per-source volume and mute controls
+  function setupMixer() {
+    const sources = ['tab', 'mic'].map((name) => ({
+      name,
+      row: document.getElementById(`${name}-mixer`),
+      slider: document.getElementById(`${name}-gain`),
+      value: document.getElementById(`${name}-gain-value`),
+      mute: document.getElementById(`${name}-mute`)
+    })).filter(source => source.slider && source.mute);
+    
+    function render(mixLevels) {
+      sources.forEach(({ name, row, slider, value, mute }) => {
+        const gain = mixLevels[`${name}Gain`];
+        const muted = mixLevels[`${name}Muted`];
+        slider.value = String(Math.round(gain * 100));
+        value.textContent = `${Math.round(gain * 100)}%`;
+        mute.setAttribute('aria-pressed', String(muted));
+        mute.textContent = muted ? 'Muted' : 'Mute';
+        row.classList.toggle('muted', muted);
+      });
+    }
+    
+    function sendMixLevels(update) {
+      chrome.runtime.sendMessage({ action: 'setMixLevels', mixLevels: update }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error('[popup.js] Error setting mix levels:', chrome.runtime.lastError);
+          return;
+        }
+        if (response && response.mixLevels) {
+          render(response.mixLevels);
+        }
+      });
+    }
+    
+    sources.forEach(({ name, slider, value, mute }) => {
+      slider.addEventListener('input', () => {
+        value.textContent = `${slider.value}%`;
+        sendMixLevels({ [`${name}Gain`]: Number(slider.value) / 100 });
+      });
+      mute.addEventListener('click', () => {
+        const muted = mute.getAttribute('aria-pressed') !== 'true';
+        sendMixLevels({ [`${name}Muted`]: muted });
+      });
+    });
+    
+    chrome.runtime.sendMessage({ action: 'getMixLevels' }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('[popup.js] Error getting mix levels:', chrome.runtime.lastError);
+        return;
+      }
+      if (response && response.mixLevels) {
+        render(response.mixLevels);
+      }
+    });
+  }
+  
+  setupMixer();
+  
+  // Live input levels for tab and mic (pre-gain), relayed by the background while recording
+  const levelMeters = (() => {
+    const FLOOR_DB = -60;
+    const meters = ['tab', 'mic'].map((name) => {
+      const el = document.getElementById(`${name}-meter`);
+      return el && {
+        name,
+        el,
+        fill: el.querySelector('.level-meter-fill'),
+        peak: el.querySelector('.level-meter-peak')
+      };
+    }).filter(Boolean);
+    const micUnavailable = document.getElementById('mic-unavailable');
+    
+    // Map a linear level to 0-100% on a dB scale
+    function toPercent(value) {
+      if (!value || value <= 0) return 0;
+      const db = 20 * Math.log10(value);
+      return Math.max(0, Math.min(100, (db - FLOOR_DB) / -FLOOR_DB * 100));
+    }
+    
+    function render(levels) {
+      meters.forEach(({ name, el, fill, peak }) => {
+        const level = levels && levels[name];
+        fill.style.width = `${toPercent(level && level.rms)}%`;
+        peak.style.left = `${toPercent(level && level.peak)}%`;
+        el.classList.toggle('clipping', Boolean(level && level.peak >= 0.99));
+      });
+      if (micUnavailable) {
+        micUnavailable.hidden = !levels || levels.micAvailable;
+      }
+    }
+    
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message && message.action === 'levelsUpdate') {
+        render(message.levels);
+      }
+    });
+    
+    return { reset: () => render(null) };
+  })();
+  
+  // Live transcript / translation / server notices relayed by the background
+  function setupTranscript() {
+    const container = document.getElementById('transcript');
+    if (!container) return;
+    
+    const placeholder = container.querySelector('.transcript-empty');
+    const rendered = new Map();
+    
+    function renderEntry(entry) {
+      // Keep following the newest entries unless the user scrolled up
+      const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 24;
+      
+      let el = rendered.get(entry.id);
+      if (!el) {
+        el = document.createElement('div');
+        rendered.set(entry.id, el);
+        container.appendChild(el);
+      }
+      
+      el.className = `transcript-entry ${entry.kind}`;
+      if (entry.kind === 'transcript' && !entry.final) {
+        el.classList.add('partial');
+      }
+      el.textContent = '';
+      
+      if (entry.speaker) {
+        const speaker = document.createElement('span');
+        speaker.className = 'transcript-speaker';
+        speaker.textContent = `${entry.speaker}:`;
+        el.appendChild(speaker);
+      }
+      
+      const text = document.createElement('span');
+      text.className = 'transcript-text';
+      text.textContent = entry.text;
+      el.appendChild(text);
+      
+      if (entry.translation) {
+        const translation = document.createElement('span');
+        translation.className = 'transcript-translation';
+        translation.textContent = entry.language ? `[${entry.language}] ${entry.translation}` : entry.translation;
+        el.appendChild(translation);
+      }
+      
+      if (placeholder) placeholder.hidden = true;
+      if (atBottom) container.scrollTop = container.scrollHeight;
+    }
+    
+    function clear() {
+      rendered.forEach(el => el.remove());
+      rendered.clear();
+      if (placeholder) placeholder.hidden = false;
+    }
+    
+    chrome.runtime.onMessage.addListener((message) => {
+      if (!message) return;
+      if (message.action === 'transcriptUpdate' && message.entry) {
+        renderEntry(message.entry);
+      } else if (message.action === 'transcriptCleared') {
+        clear();
+      }
+    });
+    
+    chrome.runtime.sendMessage({ action: 'getTranscript' }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('[popup.js] Error getting transcript:', chrome.runtime.lastError);
+        return;
+      }
+      if (response && Array.isArray(response.entries)) {
+        response.entries.forEach(renderEntry);
+      }
+    });
+  }
+  
+  setupTranscript();
+  
+  // Open the options page
+  const settingsLink = document.getElementById('open-settings');
+  if (settingsLink) {
+    settingsLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+  }
+  
+  // Open the diagnostics page (error logs and status for bug reports)
+  const diagnosticsLink = document.getElementById('open-diagnostics');
+  if (diagnosticsLink) {
+    diagnosticsLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.tabs.create({ url: chrome.runtime.getURL('diagnostics.html') });
+    });
+  }
   
   // Query the recording status on popup open
   function refreshRecordingStatus() {
@@ -111,7 +450,15 @@ document.addEventListener('DOMContentLoaded', () => {
           console.log('[popup.js] Recording is active, updating UI');
           startButton.disabled = true;
           stopButton.disabled = false;
-          updateStatus('recording', 'Recording');
+          syncPauseButton(true, response.isPaused);
+          if (tabSelect) {
+            tabSelect.disabled = true;
+            if (response.captureTabId) {
+              showCaptureTab(response.captureTabId);
+            }
+          }
+          renderRecordingStatus(response.connectionStatus);
+          showIdentityChange(response.identityChange);
           
           // Reset button event handlers for stop
           setupStopButtonHandler();
@@ -119,7 +466,15 @@ document.addEventListener('DOMContentLoaded', () => {
           console.log('[popup.js] Recording is not active');
           startButton.disabled = false;
           stopButton.disabled = true;
-          updateStatus('ready', 'Ready');
+          syncPauseButton(false, false);
+          if (tabSelect) {
+            tabSelect.disabled = false;
+            releaseCaptureTab();
+          }
+          levelMeters.reset();
+          showIdentityChange(null);
+          // e.g. the recording was stopped at the maximum recording time
+          updateStatus('ready', response && response.notice ? `Ready (${response.notice})` : 'Ready');
           
           // Reset button event handlers for start
           setupStartButtonHandler();
@@ -128,6 +483,116 @@ document.addEventListener('DOMContentLoaded', () => {
     );
   }
   
+  // Recording status including the offscreen WebSocket reconnect countdown
+  let reconnectCountdown = null;
+  
+  function renderRecordingStatus(connectionStatus) {
+    clearInterval(reconnectCountdown);
+    reconnectCountdown = null;
+    
+    if (isPaused && (!connectionStatus || connectionStatus.state === 'connected')) {
+      updateStatus('paused', 'Paused');
+      return;
+    }
+    
+    if (!connectionStatus || connectionStatus.state === 'connected') {
+      updateStatus('recording', 'Recording');
+      return;
+    }
+    
+    if (connectionStatus.state === 'gave-up') {
+      updateStatus('error', 'Connection lost');
+      return;
+    }
+    
+    const render = () => {
+      const seconds = Math.max(0, Math.ceil((connectionStatus.retryAt - Date.now()) / 1000));
+      updateStatus('loading', seconds > 0
+        ? `Reconnecting in ${seconds}s (attempt ${connectionStatus.attempt})`
+        : `Reconnecting... (attempt ${connectionStatus.attempt})`);
+    };
+    render();
+    reconnectCountdown = setInterval(render, 1000);
+  }
+  
+  // Pause / resume keeps the session (capture and socket) alive
+  let isPaused = false;
+  
+  function syncPauseButton(recording, paused) {
+    if (!pauseButton) return;
+    isPaused = Boolean(recording && paused);
+    pauseButton.disabled = !recording;
+    pauseButton.textContent = isPaused ? 'Resume' : 'Pause';
+  }
+  
+  if (pauseButton) {
+    pauseButton.onclick = () => {
+      if (pauseButton.disabled) return;
+      
+      const action = isPaused ? 'resumeRecording' : 'pauseRecording';
+      pauseButton.disabled = true;
+      
+      chrome.runtime.sendMessage({ action }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error(`[popup.js] Runtime error during ${action}:`, chrome.runtime.lastError);
+          syncPauseButton(true, isPaused);
+          return;
+        }
+        
+        if (response && response.error) {
+          console.error(`[popup.js] ${action} failed:`, response.error);
+          updateStatus('error', 'Error: ' + response.error);
+          syncPauseButton(!stopButton.disabled, isPaused);
+          return;
+        }
+        
+        syncPauseButton(true, response && response.isPaused);
+        renderRecordingStatus(null);
+      });
+    };
+  }
+  
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.action === 'connectionStatusUpdate' && !stopButton.disabled) {
+      renderRecordingStatus(message.status);
+    }
+    if (message && message.action === 'identityChanged') {
+      showIdentityChange(message.identityChange);
+    }
+  });
+  
+  // The signed-in Paratalk account changed while recording: restart or keep going
+  const identityBanner = document.getElementById('identity-change');
+  
+  function showIdentityChange(identityChange) {
+    if (!identityBanner) return;
+    identityBanner.hidden = !identityChange;
+  }
+  
+  function resolveIdentityChange(restart) {
+    showIdentityChange(null);
+    if (restart) {
+      startButton.disabled = true;
+      stopButton.disabled = true;
+      updateStatus('loading', 'Restarting...');
+    }
+    
+    chrome.runtime.sendMessage({ action: 'resolveIdentityChange', restart }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('[popup.js] Runtime error resolving identity change:', chrome.runtime.lastError);
+      } else if (response && response.error) {
+        console.error('[popup.js] Identity change failed:', response.error);
+        updateStatus('error', 'Error: ' + response.error);
+      }
+      refreshRecordingStatus();
+    });
+  }
+  
+  if (identityBanner) {
+    document.getElementById('identity-restart').onclick = () => resolveIdentityChange(true);
+    document.getElementById('identity-keep').onclick = () => resolveIdentityChange(false);
+  }
+  
   // Initial status check
   refreshRecordingStatus();
   
@@ -157,7 +622,7 @@ document.addEventListener('DOMContentLoaded', () => {
         setupStartButtonHandler(); // Reset handler
       }, 20000); // 20 second timeout
       
-      chrome.runtime.sendMessage({ action: 'startRecording' }, (response) => {
+      chrome.runtime.sendMessage({ action: 'startRecording', targetTabId: getSelectedTabId() }, (response) => {
         console.log('[popup.js] Received response from background:', response);
         clearTimeout(startTimeout);
         
@@ -180,6 +645,7 @@ document.addEventListener('DOMContentLoaded', () => {
           console.log('[popup.js] Recording started successfully');
           startButton.disabled = true;
           stopButton.disabled = false;
+          syncPauseButton(true, false);
           updateStatus('recording', 'Recording');
           setupStopButtonHandler();
         }
@@ -199,6 +665,8 @@ document.addEventListener('DOMContentLoaded', () => {
       
       startButton.disabled = true; // Disable both during transition
       stopButton.disabled = true;
+      syncPauseButton(false, false);
+      levelMeters.reset();
       updateStatus('loading', 'Stopping...');
       
       // Set a timeout for the stop operation
@@ -244,5 +712,6 @@ document.addEventListener('DOMContentLoaded', () => {
   // Clear interval when popup is closed
   window.addEventListener('beforeunload', () => {
     clearInterval(statusCheckInterval);
+    clearInterval(reconnectCountdown);
   });
 });
\ No newline at end of file
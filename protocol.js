@@ -0,0 +1,110 @@
+// Control protocol shared with the Paratalk server.
+// Control messages are JSON text frames on the same WebSocket as the binary
+// audio frames; every message carries the protocol version.
+const ParatalkProtocol = (() => {
+  const VERSION = 1;
+
+  const TYPES = {
+    AUTH: 'auth',
+    SESSION_START: 'session.start',
+    SESSION_END: 'session.end',
+    SESSION_PAUSE: 'session.pause',
+    SESSION_RESUME: 'session.resume',
+    SPEECH_START: 'speech.start',
+    SPEECH_END: 'speech.end',
+    SEGMENT_BOUNDARY: 'segment.boundary'
+  };
+
+  // Close codes the server may use
+  const CLOSE_CODES = {
+    AUTH_FAILED: 4401 // Missing, invalid or expired auth token
+  };
+
+  // Messages the server may send back
+  const INBOUND_TYPES = {
+    TRANSCRIPT_PARTIAL: 'transcript.partial',
+    TRANSCRIPT_FINAL: 'transcript.final',
+    TRANSLATION: 'translation',
+    ERROR: 'error',
+    SERVER_NOTICE: 'server.notice'
+  };
+
+  /**
+   * Build a control message of the given type
+   */
+  function message(type, fields = {}) {
+    return {
+      type,
+      version: VERSION,
+      timestamp: new Date().toISOString(),
+      ...fields
+    };
+  }
+
+  function optionalString(value) {
+    return typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+  }
+
+  /**
+   * Parse and normalize an inbound text frame.
+   * Returns null for non-JSON data and unknown or malformed messages.
+   */
+  function parseInbound(data) {
+    if (typeof data !== 'string') {
+      return null;
+    }
+
+    let raw;
+    try {
+      raw = JSON.parse(data);
+    } catch (e) {
+      return null;
+    }
+    if (!raw || typeof raw !== 'object' || typeof raw.type !== 'string') {
+      return null;
+    }
+
+    const base = {
+      type: raw.type,
+      sessionId: optionalString(raw.sessionId),
+      receivedAt: Date.now()
+    };
+
+    switch (raw.type) {
+      case INBOUND_TYPES.TRANSCRIPT_PARTIAL:
+      case INBOUND_TYPES.TRANSCRIPT_FINAL:
+        if (typeof raw.text !== 'string') return null;
+        return {
+          ...base,
+          text: raw.text,
+          segmentId: optionalString(raw.segmentId),
+          speaker: optionalString(raw.speaker)
+        };
+      case INBOUND_TYPES.TRANSLATION:
+        if (typeof raw.text !== 'string') return null;
+        return {
+          ...base,
+          text: raw.text,
+          segmentId: optionalString(raw.segmentId),
+          language: optionalString(raw.language)
+        };
+      case INBOUND_TYPES.ERROR:
+        return {
+          ...base,
+          code: optionalString(raw.code),
+          message: optionalString(raw.message) || 'Unknown server error'
+        };
+      case INBOUND_TYPES.SERVER_NOTICE:
+        if (raw.message === undefined) return null;
+        return {
+          ...base,
+          message: optionalString(raw.message) || '',
+          level: optionalString(raw.level) || 'info'
+        };
+      default:
+        return null;
+    }
+  }
+
+  return { VERSION, TYPES, CLOSE_CODES, INBOUND_TYPES, message, parseInbound };
+})();
@@ -0,0 +1,104 @@
+// Shared retry policy: exponential backoff with jitter, a maximum delay and a
+// total give-up deadline. Used by offscreen.js (WebSocket reconnect),
+// background.js (offscreen document setup) and popup.js (server check).
+class RetryPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.baseDelay - Delay before the first retry (ms)
+   * @param {number} options.maxDelay - Upper bound for a single delay (ms)
+   * @param {number} options.multiplier - Growth factor per attempt
+   * @param {number} options.jitter - Fraction of the delay that is randomized (0-1)
+   * @param {number} options.deadline - Give up once this much time (ms) has passed since the first failure
+   * @param {Function} options.onStatus - Receives { state: 'retrying'|'gave-up', attempt, delay, retryAt, elapsed }
+   */
+  constructor({ baseDelay = 1000, maxDelay = 30000, multiplier = 2, jitter = 0.5, deadline = 600000, onStatus = null } = {}) {
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.multiplier = multiplier;
+    this.jitter = Math.min(1, Math.max(0, jitter));
+    this.deadline = deadline;
+    this.onStatus = onStatus;
+    this.attempt = 0;
+    this.firstFailureAt = null;
+    this.timer = null;
+  }
+
+  get pending() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Delay for the next attempt, or null once the deadline would be exceeded
+   */
+  nextDelay() {
+    const now = Date.now();
+    if (this.firstFailureAt === null) {
+      this.firstFailureAt = now;
+    }
+
+    const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.multiplier, this.attempt));
+    // Randomize the top `jitter` fraction so clients don't retry in lockstep
+    const delay = Math.round(exponential * (1 - this.jitter) + Math.random() * exponential * this.jitter);
+
+    if (now - this.firstFailureAt + delay > this.deadline) {
+      return null;
+    }
+    this.attempt++;
+    return delay;
+  }
+
+  /**
+   * Schedule fn after the next backoff delay.
+   * Returns the delay, 0 if a retry is already pending, or null when giving up.
+   */
+  schedule(fn) {
+    if (this.timer !== null) {
+      return 0;
+    }
+
+    const delay = this.nextDelay();
+    if (delay === null) {
+      this.emit({ state: 'gave-up', attempt: this.attempt, elapsed: Date.now() - this.firstFailureAt });
+      return null;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      fn(this.attempt);
+    }, delay);
+
+    this.emit({
+      state: 'retrying',
+      attempt: this.attempt,
+      delay,
+      retryAt: Date.now() + delay,
+      elapsed: Date.now() - this.firstFailureAt
+    });
+    return delay;
+  }
+
+  cancel() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Forget previous failures after a success
+   */
+  reset() {
+    this.cancel();
+    this.attempt = 0;
+    this.firstFailureAt = null;
+  }
+
+  emit(status) {
+    if (typeof this.onStatus !== 'function') return;
+    try {
+      this.onStatus(status);
+    } catch (e) {
+      console.error('[RetryPolicy] Status callback failed:', e);
+    }
+  }
+}
@@ -0,0 +1,195 @@
+// Shared settings: schema, validation and chrome.storage.sync persistence.
+// Loaded by background.js (importScripts), popup.html, options.html and offscreen.html.
+const ParatalkSettings = (() => {
+  const STORAGE_KEY = 'settings';
+
+  // lamejs supports these MPEG-1/2 bitrates and sample rates (Opus needs 16000, 24000 or 48000 here)
+  const MP3_BITRATES = [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+  const SAMPLE_RATES = [16000, 22050, 24000, 32000, 44100, 48000];
+  // scheme://host[:port] with an optional "*." subdomain wildcard, no path
+  const ORIGIN_PATTERN = /^https?:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/i;
+  const CODECS = ['mp3', 'opus', 'pcm'];
+  // The main Paratalk connection is always the sink named "paratalk"
+  const PRIMARY_SINK = 'paratalk';
+  const SINK_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+  const MAX_EXTRA_SINKS = 4;
+
+  /**
+   * Setting definitions: type, default value and constraints
+   */
+  const SCHEMA = {
+    wsUrl: { type: 'url', default: 'wss://app.paratalk.jp/ws', protocols: ['ws:', 'wss:'] },
+    // Issues the short-lived token sent in the WebSocket "auth" message (called with the Paratalk cookies)
+    authTokenUrl: { type: 'url', default: 'https://app.paratalk.jp/api/stream-token', protocols: ['https:', 'http:'] },
+    // Origins whose public_id cookie identifies the user; "*." allows any subdomain
+    publicIdOrigins: { type: 'origins', default: ['https://paratalk.jp', 'https://*.paratalk.jp'] },
+    // Additional WebSocket destinations (e.g. an archiver) that receive the same session:
+    // [{ name, url, codec }]; codec null = the main codec. They get no auth token.
+    extraSinks: { type: 'sinks', default: [] },
+    // mp3: lamejs; opus: WebCodecs AudioEncoder in an Ogg stream (falls back to mp3 if unsupported);
+    // pcm: raw 16-bit little-endian samples for ASR backends
+    codec: { type: 'enum', default: 'mp3', values: CODECS },
+    mp3Bitrate: { type: 'enum', default: 128, values: MP3_BITRATES },
+    opusBitrate: { type: 'number', default: 32, min: 6, max: 256 },
+    pcmSampleRate: { type: 'enum', default: 16000, values: [8000, 16000] },
+    pcmWavHeader: { type: 'boolean', default: false },
+    // Also save each recording to the Downloads folder when it stops
+    saveLocalCopy: { type: 'boolean', default: false },
+    sampleRate: { type: 'enum', default: 48000, values: SAMPLE_RATES },
+    // mono: tab and mic mixed; split: tab on the left channel, mic on the right
+    channelMode: { type: 'enum', default: 'mono', values: ['mono', 'split'] },
+    // Microphone processing constraints passed to getUserMedia (browser defaults: all on, mono)
+    micEchoCancellation: { type: 'boolean', default: true },
+    micNoiseSuppression: { type: 'boolean', default: true },
+    micAutoGainControl: { type: 'boolean', default: true },
+    micChannelCount: { type: 'enum', default: 1, values: [1, 2] },
+    // Captured tab audio is muted in the tab, so it is played back locally unless suppressed
+    suppressLocalPlayback: { type: 'boolean', default: false },
+    // WebSocket reconnect backoff: delays grow exponentially (with jitter) up to the max,
+    // and the recording stops once reconnecting has failed for the give-up time
+    reconnectMaxDelaySec: { type: 'number', default: 30, min: 1, max: 300 },
+    reconnectGiveUpMin: { type: 'number', default: 10, min: 1, max: 1440 },
+    // Encoded audio held in memory while reconnecting (0 disables)
+    replayBufferKb: { type: 'number', default: 2048, min: 0, max: 51200 },
+    replayBufferPolicy: { type: 'enum', default: 'drop-oldest', values: ['drop-oldest', 'drop-newest'] },
+    // Long sessions: every segmentMinutes the encoder is flushed and a new segment starts,
+    // either marked in-band (segment.boundary) or on a new socket; the hard cap stops the
+    // recording. 0 disables either.
+    segmentMinutes: { type: 'number', default: 0, min: 0, max: 1440 },
+    segmentRotation: { type: 'enum', default: 'marker', values: ['marker', 'new-socket'] },
+    maxRecordingMin: { type: 'number', default: 0, min: 0, max: 1440 },
+    // Voice activity detection in the AudioWorklet: silent buffers are not encoded or sent.
+    // Speech ends after the hangover; the pre-roll is sent ahead of each speech start.
+    vadEnabled: { type: 'boolean', default: false },
+    vadThresholdDb: { type: 'number', default: -50, min: -90, max: 0 },
+    vadHangoverMs: { type: 'number', default: 600, min: 0, max: 5000 },
+    vadPreRollMs: { type: 'number', default: 300, min: 0, max: 2000 }
+  };
+
+  const DEFAULTS = Object.freeze(
+    Object.fromEntries(Object.entries(SCHEMA).map(([key, def]) => [key, def.default]))
+  );
+
+  /**
+   * Validate a single value against its definition; returns an error message or null
+   */
+  function validateField(def, value) {
+    switch (def.type) {
+      case 'url': {
+        if (typeof value !== 'string') return 'must be a string';
+        let url;
+        try {
+          url = new URL(value);
+        } catch (e) {
+          return 'must be a valid URL';
+        }
+        if (def.protocols && !def.protocols.includes(url.protocol)) {
+          return `must use one of ${def.protocols.join(', ')}`;
+        }
+        return null;
+      }
+      case 'enum':
+        return def.values.includes(value) ? null : `must be one of ${def.values.join(', ')}`;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+        if (def.min !== undefined && value < def.min) return `must be >= ${def.min}`;
+        if (def.max !== undefined && value > def.max) return `must be <= ${def.max}`;
+        return null;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+      case 'string':
+        return typeof value === 'string' ? null : 'must be a string';
+      case 'origins': {
+        if (!Array.isArray(value)) return 'must be a list of origins';
+        const invalid = value.find(origin => typeof origin !== 'string' || !ORIGIN_PATTERN.test(origin));
+        return invalid === undefined ? null : `invalid origin: ${invalid}`;
+      }
+      case 'sinks': {
+        if (!Array.isArray(value)) return 'must be a list of destinations';
+        if (value.length > MAX_EXTRA_SINKS) return `at most ${MAX_EXTRA_SINKS} destinations`;
+        const names = new Set([PRIMARY_SINK]);
+        for (const sink of value) {
+          if (!sink || typeof sink !== 'object') return 'invalid destination';
+          if (typeof sink.name !== 'string' || !SINK_NAME_PATTERN.test(sink.name)) {
+            return `invalid name: ${sink.name} (letters, digits, - and _)`;
+          }
+          if (names.has(sink.name)) return `duplicate name: ${sink.name}`;
+          names.add(sink.name);
+          const urlError = validateField({ type: 'url', protocols: ['ws:', 'wss:'] }, sink.url);
+          if (urlError) return `${sink.name}: URL ${urlError}`;
+          if (sink.codec !== null && sink.codec !== undefined && !CODECS.includes(sink.codec)) {
+            return `${sink.name}: codec must be one of ${CODECS.join(', ')}`;
+          }
+        }
+        return null;
+      }
+      default:
+        return `unknown setting type ${def.type}`;
+    }
+  }
+
+  /**
+   * Validate a (possibly partial) settings object.
+   * Invalid or missing fields fall back to their defaults and are reported in errors.
+   */
+  function validate(input) {
+    const settings = { ...DEFAULTS };
+    const errors = {};
+    const source = input && typeof input === 'object' ? input : {};
+
+    Object.entries(SCHEMA).forEach(([key, def]) => {
+      if (source[key] === undefined) return;
+      const error = validateField(def, source[key]);
+      if (error) {
+        errors[key] = error;
+      } else {
+        settings[key] = source[key];
+      }
+    });
+
+    return { settings, errors };
+  }
+
+  /**
+   * Load settings from chrome.storage.sync, always resolving to a valid object
+   */
+  async function load() {
+    try {
+      const stored = await chrome.storage.sync.get(STORAGE_KEY);
+      const { settings, errors } = validate(stored[STORAGE_KEY]);
+      if (Object.keys(errors).length > 0) {
+        console.warn('[Settings] Ignoring invalid stored settings:', errors);
+      }
+      return settings;
+    } catch (e) {
+      console.error('[Settings] Failed to load settings, using defaults:', e);
+      return { ...DEFAULTS };
+    }
+  }
+
+  /**
+   * Validate and persist settings; rejects without saving if any field is invalid
+   */
+  async function save(input) {
+    const { settings, errors } = validate(input);
+    if (Object.keys(errors).length > 0) {
+      const error = new Error('Invalid settings');
+      error.fields = errors;
+      throw error;
+    }
+    await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+    return settings;
+  }
+
+  /**
+   * Subscribe to settings changes made from any context
+   */
+  function onChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync' || !changes[STORAGE_KEY]) return;
+      callback(validate(changes[STORAGE_KEY].newValue).settings);
+    });
+  }
+
+  return { SCHEMA, DEFAULTS, PRIMARY_SINK, validate, load, save, onChanged };
+})();